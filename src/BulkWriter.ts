@@ -0,0 +1,376 @@
+import { Database } from './Database';
+import { Transaction } from './Transaction';
+import { Reference, CrudOptions } from './Reference';
+import { FirestoreError, grpcStatuses, isOfflineError } from './FirestoreError';
+import { Ref } from './utils';
+
+export interface BulkWriterOptions {
+	/** The max amount of requests sent at the same time, defaults to 10 */
+	maxConcurrency?: number;
+	/** The max amount of writes in a single request, defaults to 20 (up to 500) */
+	batchSize?: number;
+	/** The max number of times a write is sent, including the first one. Defaults to 10 */
+	attempts?: number;
+	/**
+	 * The amount of writes per second to start with, defaults to 500.
+	 * It is increased by 50% every 5 minutes, as recommended by the 500/50/5 rule.
+	 */
+	initialRate?: number;
+	/** The max amount of writes per second, defaults to 10,000 */
+	maxRate?: number;
+	/** Called after every request with the progress of the writer */
+	onProgress?(progress: BulkWriterProgress): void;
+}
+
+export interface BulkWriterProgress {
+	/** The amount of writes that were applied */
+	succeeded: number;
+	/** The amount of writes that failed, and won't be retried */
+	failed: number;
+	/** The amount of writes that are waiting to be sent, or retried */
+	pending: number;
+	/** The average amount of writes applied per second */
+	writesPerSecond: number;
+}
+
+export interface BulkWriteResult {
+	/** The reference to the document that was written */
+	ref: Reference;
+	/** The update time of the document, missing for deletes */
+	updateTime?: string;
+}
+
+/** @private */
+interface BulkOperation {
+	/** The name of the document */
+	name: string;
+	write: any;
+	/** The amount of times the write was sent */
+	attempts: number;
+	resolve(result: BulkWriteResult): void;
+	reject(error: Error): void;
+}
+
+/**
+ * Error codes of writes that might succeed when retried.
+ * @private
+ */
+const retryCodes = [
+	'aborted',
+	'unavailable',
+	'resource-exhausted',
+	'deadline-exceeded',
+	'internal'
+];
+
+/**
+ * The time in milliseconds after which the rate is increased.
+ * @private
+ */
+const rampUpInterval = 5 * 60 * 1000;
+
+/** @private */
+function isPositiveNumber(value: any) {
+	return typeof value === 'number' && value > 0;
+}
+
+/**
+ * Writes a lot of documents using the `batchWrite` endpoint.
+ * Unlike a commit, the writes aren't atomic, and each of them succeeds
+ * or fails on its own. Failed writes are retried when the error is transient.
+ *
+ * The writes are sent in parallel, so their order isn't guaranteed.
+ * The amount of writes per second is throttled according to the 500/50/5 rule.
+ */
+export class BulkWriter {
+	maxConcurrency: number;
+	batchSize: number;
+	attempts: number;
+	initialRate: number;
+	maxRate: number;
+	private onProgress?: (progress: BulkWriterProgress) => void;
+	private queue: BulkOperation[] = [];
+	private inFlight = 0;
+	private unsettled = 0;
+	private succeeded = 0;
+	private failed = 0;
+	private closed = false;
+	private timer?: ReturnType<typeof setTimeout>;
+	private idle: Array<() => void> = [];
+	/** The time the first write was sent */
+	private started?: number;
+	/** The amount of writes that can be sent right away */
+	private tokens = 0;
+	private refilled = 0;
+
+	constructor(
+		private db: Database,
+		{
+			maxConcurrency = 10,
+			batchSize = 20,
+			attempts = 10,
+			initialRate = 500,
+			maxRate = 10000,
+			onProgress
+		}: BulkWriterOptions = {}
+	) {
+		if (batchSize < 1 || batchSize > 500)
+			throw Error('The batchSize must be between 1 and 500');
+		if (!Number.isInteger(maxConcurrency) || maxConcurrency < 1)
+			throw Error('The maxConcurrency must be a positive integer');
+		if (!isPositiveNumber(initialRate))
+			throw Error('The initialRate must be a positive number');
+		if (!isPositiveNumber(maxRate))
+			throw Error('The maxRate must be a positive number');
+
+		this.maxConcurrency = maxConcurrency;
+		this.batchSize = batchSize;
+		this.attempts = attempts;
+		this.initialRate = initialRate;
+		this.maxRate = maxRate;
+		this.onProgress = onProgress;
+	}
+
+	/**
+	 * Adds a write to the queue, and resolves with its result.
+	 * @private
+	 */
+	private enqueue(
+		write: (tx: Transaction) => Reference | void
+	): Promise<BulkWriteResult> {
+		if (this.closed) throw Error('The BulkWriter was closed');
+
+		// Use the same encoding as transactions.
+		const tx = this.db.transaction();
+		write(tx);
+		const [update] = tx.writes;
+
+		const promise = new Promise<BulkWriteResult>((resolve, reject) =>
+			this.queue.push({
+				name: update.update?.name ?? update.delete,
+				write: update,
+				attempts: 0,
+				resolve,
+				reject
+			})
+		);
+
+		// The failures are also reported by the progress, so they don't have to be handled.
+		promise.catch(() => {});
+		this.unsettled++;
+		// Wait for the other writes added in the same tick, so they are sent together.
+		this.wait(0);
+		return promise;
+	}
+
+	add(ref: string | Reference, data: any, options: CrudOptions = {}) {
+		return this.enqueue(tx => tx.add(ref, data, options));
+	}
+
+	set(ref: Ref, data: any, options: CrudOptions = {}) {
+		return this.enqueue(tx => tx.set(ref, data, options));
+	}
+
+	update(ref: Ref, data: any, options: CrudOptions = {}) {
+		return this.enqueue(tx => tx.update(ref, data, options));
+	}
+
+	delete(ref: Ref, options: CrudOptions = {}) {
+		return this.enqueue(tx => tx.delete(ref, options));
+	}
+
+	/** Resolves once all the writes that were added until now were settled. */
+	flush() {
+		if (!this.unsettled) return Promise.resolve();
+		return new Promise<void>(resolve => this.idle.push(resolve));
+	}
+
+	/** Flushes the writes, and prevents adding new ones. */
+	close() {
+		this.closed = true;
+		return this.flush();
+	}
+
+	/** Returns the progress of the writer. */
+	progress(): BulkWriterProgress {
+		const seconds = this.started ? (Date.now() - this.started) / 1000 : 0;
+
+		return {
+			succeeded: this.succeeded,
+			failed: this.failed,
+			pending: this.unsettled,
+			writesPerSecond: seconds ? this.succeeded / seconds : 0
+		};
+	}
+
+	/**
+	 * Returns the amount of writes allowed per second. Starts at the
+	 * initial rate, and increases by 50% every 5 minutes.
+	 * @private
+	 */
+	private rate(now: number) {
+		const elapsed = now - (this.started ?? now);
+		const rate = this.initialRate * 1.5 ** Math.floor(elapsed / rampUpInterval);
+		return Math.min(rate, this.maxRate);
+	}
+
+	/**
+	 * Sends requests while the concurrency and rate allow it,
+	 * and waits for the rate limit otherwise.
+	 * @private
+	 */
+	private schedule() {
+		while (
+			!this.timer &&
+			this.queue.length &&
+			this.inFlight < this.maxConcurrency
+		) {
+			const now = Date.now();
+			if (this.started === undefined) {
+				this.started = this.refilled = now;
+				this.tokens = this.rate(now);
+			}
+
+			// Refill the tokens according to the current rate.
+			// The bucket holds at least one write, so slow rates can still send.
+			const rate = this.rate(now);
+			const capacity = Math.max(rate, 1);
+			this.tokens = Math.min(
+				capacity,
+				this.tokens + ((now - this.refilled) * rate) / 1000
+			);
+			this.refilled = now;
+
+			// Requests can't be larger than the bucket, or they would wait forever.
+			const size = Math.min(
+				this.batchSize,
+				this.queue.length,
+				Math.floor(capacity)
+			);
+			if (this.tokens < size)
+				return this.wait(((size - this.tokens) / rate) * 1000);
+
+			const batch = this.take(size);
+			this.tokens -= batch.length;
+			this.send(batch);
+		}
+	}
+
+	/**
+	 * Schedules the next requests after the given time.
+	 * @private
+	 */
+	private wait(ms: number) {
+		if (this.timer) return;
+
+		this.timer = setTimeout(() => {
+			this.timer = undefined;
+			this.schedule();
+		}, Math.ceil(ms));
+	}
+
+	/**
+	 * Removes writes from the queue, without writing the same document twice.
+	 * @private
+	 */
+	private take(size: number) {
+		const names = new Set<string>();
+		const batch: BulkOperation[] = [];
+
+		this.queue = this.queue.filter(op => {
+			if (batch.length >= size || names.has(op.name)) return true;
+			names.add(op.name);
+			batch.push(op);
+			return false;
+		});
+
+		return batch;
+	}
+
+	/** @private */
+	private async send(batch: BulkOperation[]) {
+		this.inFlight++;
+		batch.forEach(op => op.attempts++);
+
+		try {
+			const { writeResults = [], status = [] } = await this.db.fetch(
+				this.db.endpoint + ':batchWrite',
+				{
+					method: 'POST',
+					body: JSON.stringify({ writes: batch.map(op => op.write) })
+				}
+			);
+
+			batch.forEach((op, i) => {
+				const { code = 0, message, details } = status[i] || {};
+				if (!code) return this.succeed(op, writeResults[i]);
+
+				this.fail(
+					op,
+					new FirestoreError(
+						{ message, status: grpcStatuses[code], details },
+						{
+							status: 200,
+							path: new URL(this.db.endpoint + ':batchWrite').pathname,
+							method: 'POST'
+						}
+					)
+				);
+			});
+		} catch (e) {
+			batch.forEach(op => this.fail(op, e));
+		} finally {
+			this.inFlight--;
+		}
+
+		this.onProgress && this.onProgress(this.progress());
+		this.schedule();
+	}
+
+	/** @private */
+	private succeed(op: BulkOperation, result: any = {}) {
+		this.db.cache?.delete(op.name);
+		op.resolve({
+			ref: this.db.ref(op.name.slice(this.db.rootPath.length + 1)),
+			updateTime: result.updateTime
+		});
+		this.succeeded++;
+		this.settle();
+	}
+
+	/**
+	 * Retries the write with a backoff if the error is transient,
+	 * and rejects it otherwise.
+	 * @private
+	 */
+	private fail(op: BulkOperation, error: Error) {
+		const retryable =
+			isOfflineError(error) || retryCodes.includes((error as any).code);
+
+		if (retryable && op.attempts < this.attempts) {
+			const { baseDelay, jitter } = this.db.retry;
+			const delay = baseDelay * 2 ** (op.attempts - 1);
+
+			setTimeout(() => {
+				this.queue.push(op);
+				this.schedule();
+			}, delay - delay * jitter * Math.random());
+			return;
+		}
+
+		// Even when the request failed, the write might have been applied.
+		this.db.cache?.delete(op.name);
+		op.reject(error);
+		this.failed++;
+		this.settle();
+	}
+
+	/** @private */
+	private settle() {
+		if (--this.unsettled) return;
+
+		const idle = this.idle;
+		this.idle = [];
+		idle.forEach(resolve => resolve());
+	}
+}
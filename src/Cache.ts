@@ -0,0 +1,155 @@
+import { Document } from './Document';
+import { FirestoreError, isOfflineError } from './FirestoreError';
+
+export type CachePolicy =
+	/** Returns the cached document if available, else fetches it */
+	| 'cache-first'
+	/** Fetches the document, and falls back to the cache if the request failed */
+	| 'network-first'
+	/** Returns the cached document, and never makes a request */
+	| 'cache-only';
+
+export interface CacheOptions {
+	/** The default read policy, defaults to `network-first` */
+	policy?: CachePolicy;
+	/** The time in milliseconds for which a document is kept, defaults to 5 minutes */
+	ttl?: number;
+	/** The max amount of documents to keep, defaults to 1000 */
+	maxSize?: number;
+}
+
+/** @private */
+interface CacheEntry {
+	doc: Document;
+	expires: number;
+}
+
+/** @private */
+const policies = ['cache-first', 'network-first', 'cache-only'];
+
+/**
+ * Converts a timestamp into a string that can be compared
+ * with other timestamps, by padding the fraction to nanoseconds.
+ * @private
+ */
+function comparableTime(timestamp: string) {
+	return timestamp.replace(
+		/(?:\.(\d+))?Z$/,
+		(_, fraction = '') => `.${fraction.padEnd(9, '0')}Z`
+	);
+}
+
+/**
+ * In-memory cache of documents, keyed by the document's name.
+ * Documents expire after the `ttl`, and when the cache is full
+ * the least recently used ones are removed first.
+ */
+export class Cache {
+	policy: CachePolicy;
+	ttl: number;
+	maxSize: number;
+	private entries = new Map<string, CacheEntry>();
+
+	constructor({
+		policy = 'network-first',
+		ttl = 5 * 60 * 1000,
+		maxSize = 1000
+	}: CacheOptions = {}) {
+		if (!policies.includes(policy))
+			throw Error(`Invalid cache policy: "${policy}"`);
+
+		this.policy = policy;
+		this.ttl = ttl;
+		this.maxSize = maxSize;
+	}
+
+	/** The amount of documents in the cache */
+	get size() {
+		return this.entries.size;
+	}
+
+	/** Returns the cached document, or undefined if it is missing or expired. */
+	get(name: string) {
+		const entry = this.entries.get(name);
+		if (!entry) return;
+
+		this.entries.delete(name);
+		if (entry.expires <= Date.now()) return;
+
+		// Re-insert the entry to mark it as the most recently used.
+		this.entries.set(name, entry);
+		return entry.doc;
+	}
+
+	/**
+	 * Saves a document in the cache, unless the
+	 * cached version of it was updated more recently.
+	 */
+	set(doc: Document) {
+		const { name, updateTime } = doc.__meta__;
+		const cached = this.get(name);
+
+		if (
+			cached &&
+			comparableTime(cached.__meta__.updateTime) > comparableTime(updateTime)
+		)
+			return;
+
+		this.entries.delete(name);
+		this.entries.set(name, { doc, expires: Date.now() + this.ttl });
+
+		// Maps keep the insertion order, so the first one is the least recently used.
+		while (this.entries.size > this.maxSize)
+			this.entries.delete(this.entries.keys().next().value);
+	}
+
+	/** Removes a document from the cache */
+	delete(name: string) {
+		this.entries.delete(name);
+	}
+
+	/** Removes all the documents from the cache */
+	clear() {
+		this.entries.clear();
+	}
+
+	/**
+	 * Reads a document according to the policy, by using
+	 * the cache and the `load` function that fetches it.
+	 * @private
+	 */
+	async read(
+		name: string,
+		policy: CachePolicy,
+		load: () => Promise<Document>
+	): Promise<Document> {
+		const cached = this.get(name);
+
+		if (policy === 'cache-first' && cached) return cached;
+		if (policy === 'cache-only') {
+			if (cached) return cached;
+			throw new FirestoreError(
+				{
+					message: `Document "${name}" was not found in the cache.`,
+					status: 'UNAVAILABLE'
+				},
+				{ status: 0, path: name, method: 'GET' }
+			);
+		}
+
+		try {
+			const doc = await load();
+			this.set(doc);
+			return doc;
+		} catch (e) {
+			if (e.code === 'not-found') this.delete(name);
+			else if (
+				policy === 'network-first' &&
+				cached &&
+				(isOfflineError(e) || e.code === 'deadline-exceeded')
+			)
+				return cached;
+			throw e;
+		}
+	}
+}
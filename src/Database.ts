@@ -1,29 +1,173 @@
 import { Reference } from './Reference';
 import { Document } from './Document';
 import { isPath, restrictTo } from './utils';
-import { Transaction } from './Transaction';
+import {
+	Transaction,
+	TransactionOptions,
+	CommitResult,
+	WriteResult
+} from './Transaction';
+import { WriteBatch } from './WriteBatch';
+import { BulkWriter, BulkWriterOptions } from './BulkWriter';
 import { Query, QueryOptions } from './Query';
+import { FirestoreError, AbortError, toErrorCode } from './FirestoreError';
+import { Cache, CacheOptions } from './Cache';
+import { OfflineQueue, OfflineOptions } from './OfflineQueue';
+import { Listener, ListenOptions } from './Listener';
+import { SnapshotCallback } from './Snapshot';
 
-/** @private */
-async function handleApiResponse(res: Response) {
-	if (!res.ok) {
-		const data = await res.json();
+/**
+ * Returns the info used to describe a failed request.
+ * @private
+ */
+function requestInfo(input: RequestInfo, init: RequestInit = {}, status = 0) {
+	const url = typeof input === 'string' ? input : input.url;
+	return {
+		status,
+		path: new URL(url).pathname,
+		method: init.method || 'GET'
+	};
+}
 
-		if (Array.isArray(data))
-			throw data.length === 1
-				? Object.assign(new Error(), data[0].error)
-				: data;
+/**
+ * Parses the response, and throws a FirestoreError if the request failed.
+ * @private
+ */
+async function handleApiResponse(
+	res: Response,
+	input: RequestInfo,
+	init?: RequestInit,
+	stream = false
+) {
+	if (!res.ok) {
+		const request = requestInfo(input, init, res.status);
+		const data = await res.json().catch(() => ({}));
+		// Batch requests respond with an array of results.
+		const error = Array.isArray(data)
+			? data.find(entry => entry.error)?.error
+			: data.error;
 
-		throw Object.assign(new Error(), data.error);
+		throw new FirestoreError(error || {}, request);
 	}
 
-	return res.json();
+	return stream ? res : res.json();
+}
+
+/**
+ * Returns a promise that resolves after the given amount of milliseconds,
+ * or rejects as soon as the signal is aborted.
+ * @private
+ */
+function sleep(ms: number, signal?: AbortSignal | null) {
+	return new Promise<void>((resolve, reject) => {
+		if (signal?.aborted) return reject(Error('Aborted'));
+
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(Error('Aborted'));
+		};
+		const timer = setTimeout(() => {
+			signal?.removeEventListener('abort', onAbort);
+			resolve();
+		}, ms);
+
+		signal?.addEventListener('abort', onAbort, { once: true });
+	});
+}
+
+/** A function that returns an array of cryptographically secure random bytes */
+export interface RandomBytes {
+	(length: number): Uint8Array;
 }
 
 interface Auth {
 	authorizedRequest(input: RequestInfo, init?: RequestInit): Promise<Response>;
 }
 
+/** The request that is passed through the middleware chain */
+export interface MiddlewareRequest {
+	/** The url of the request */
+	input: RequestInfo;
+	/** The options of the request, can be modified by middleware */
+	init?: RequestInit;
+}
+
+/**
+ * A function that intercepts the requests made by the database.
+ * It can modify the request before passing it to `next`, and
+ * inspect or replace the response (or error) that `next` returns.
+ */
+export interface Middleware {
+	(
+		request: MiddlewareRequest,
+		next: (request?: MiddlewareRequest) => Promise<Response>
+	): Promise<Response>;
+}
+
+/**
+ * Creates a middleware that sends the requests through the
+ * auth instance, which authorizes them with the user's credentials.
+ * Since it makes the request itself, it has to be the last one in the chain.
+ * @private
+ */
+function authMiddleware(auth: Auth): Middleware {
+	return ({ input, init }) => auth.authorizedRequest(input, init);
+}
+
+export interface RetryOptions {
+	/** The max number of times a request will be sent, including the first one */
+	attempts?: number;
+	/** The delay in milliseconds before the first retry, doubled on each retry */
+	baseDelay?: number;
+	/**
+	 * The fraction of the delay (between 0 and 1) that is randomized,
+	 * used to prevent clients from retrying in lockstep.
+	 */
+	jitter?: number;
+	/**
+	 * The gRPC status codes that are considered transient and will be retried.
+	 * Both `UNAVAILABLE` and the normalized `unavailable` forms are accepted.
+	 */
+	codes?: string[];
+}
+
+export interface RequestOptions {
+	/** A signal used to cancel the request */
+	signal?: AbortSignal;
+	/**
+	 * The time in milliseconds after which the request is cancelled,
+	 * including any retries. Defaults to the timeout of the database.
+	 */
+	timeout?: number;
+}
+
+export interface ReadOptions extends RequestOptions {
+	/** The ID of the transaction to read within */
+	transaction?: string;
+}
+
+export interface FetchOptions extends RequestOptions {
+	/**
+	 * Whether the request can be safely sent more than once.
+	 * Defaults to true for GET requests and false for anything else.
+	 */
+	idempotent?: boolean;
+	/**
+	 * When set to true, resolves with the response instead of its parsed
+	 * body, in order to read streamed responses. Set the `timeout` to 0
+	 * so that the signal can cancel the stream after the response arrived.
+	 */
+	stream?: boolean;
+}
+
+/** @private */
+const defaultRetryOptions: Required<RetryOptions> = {
+	attempts: 3,
+	baseDelay: 250,
+	jitter: 0.5,
+	codes: ['UNAVAILABLE', 'DEADLINE_EXCEEDED', 'RESOURCE_EXHAUSTED']
+};
+
 export interface DatabaseOptions {
 	/** Firebase's project ID */
 	projectId: string;
@@ -39,33 +183,152 @@ export interface DatabaseOptions {
 	host?: String;
 	/** Whether to use the HTTPS protocol or not. Set to false for emulators.*/
 	ssl?: boolean;
+	/** How to retry requests that failed due to transient errors. */
+	retry?: RetryOptions;
+	/** The default timeout in milliseconds for all requests. */
+	timeout?: number;
+	/**
+	 * The fetch implementation to use for requests.
+	 * Defaults to the global `fetch`.
+	 */
+	fetch?: typeof fetch;
+	/**
+	 * The source of random bytes used for generating document IDs.
+	 * Defaults to the global `crypto.getRandomValues`.
+	 */
+	randomBytes?: RandomBytes;
+	/**
+	 * When set to true, documents requested with `Reference.get`
+	 * in the same tick are fetched together in one `batchGet` request.
+	 */
+	batchReads?: boolean;
+	/**
+	 * When set, writes made with `Reference.set`, `update`, `add` and `delete`
+	 * are committed together. Set to true to batch the writes made in the same tick,
+	 * or to a number of milliseconds to batch the writes made within that window.
+	 * Since commits are atomic, if one of the writes fails, all of them fail.
+	 */
+	batchWrites?: boolean | number;
+	/**
+	 * When set, fetched documents are kept in an in-memory cache.
+	 * Set to true to use the default cache options.
+	 */
+	cache?: boolean | CacheOptions;
+	/**
+	 * When set, commits that fail because the network is down are
+	 * queued and committed when connectivity comes back.
+	 * Set to true to use the default options.
+	 */
+	offline?: boolean | OfflineOptions;
+}
+
+/** @private */
+interface PendingGet {
+	ref: Reference;
+	callers: Array<{
+		resolve(doc: Document): void;
+		reject(error: Error): void;
+	}>;
 }
 
-interface UpdateFunction {
-	(tx: Transaction): Promise<void> | void;
+/** @private */
+interface PendingWrites {
+	tx: Transaction;
+	callers: Array<{
+		resolve(commit: CommitResult): void;
+		reject(error: Error): void;
+	}>;
 }
 
+/**
+ * The max amount of writes Firestore accepts in a single commit.
+ * @private
+ */
+export const maxWrites = 500;
+
+interface UpdateFunction<T> {
+	(tx: Transaction): Promise<T> | T;
+}
+
+/**
+ * Error codes that mean that the transaction failed because of
+ * contention, or because the data changed since it was read.
+ * @private
+ */
+const transactionCodes = ['aborted', 'failed-precondition', 'not-found'];
+
 /** Database Instance */
 export class Database {
 	name: string;
 	rootPath: string;
 	endpoint: string;
 	auth?: Auth;
+	retry: Required<RetryOptions>;
+	timeout?: number;
+	middleware: Middleware[] = [];
+	randomBytes: RandomBytes;
+	batchReads: boolean;
+	batchWrites: boolean | number;
+	cache?: Cache;
+	offline?: OfflineQueue;
+	private listener?: Listener;
+	private fetchFn: typeof fetch;
+	private pendingGets?: Map<string, PendingGet>;
+	private pendingWrites?: PendingWrites;
 
 	constructor({
 		projectId,
 		auth,
 		name = '(default)',
 		host = 'firestore.googleapis.com',
-		ssl = true
+		ssl = true,
+		retry = {},
+		timeout,
+		fetch: fetchFn,
+		randomBytes,
+		batchReads = false,
+		batchWrites = false,
+		cache,
+		offline
 	}: DatabaseOptions) {
 		if (projectId === undefined)
 			throw Error(
 				'Database constructor expected the "config" argument to have a valid "projectId" property'
 			);
 
+		if (!fetchFn && typeof fetch !== 'function')
+			throw Error(
+				'The global "fetch" is not available in this environment, please provide a "fetch" implementation in the Database options'
+			);
+
+		if (
+			!randomBytes &&
+			(typeof crypto === 'undefined' ||
+				typeof crypto.getRandomValues !== 'function')
+		)
+			throw Error(
+				'The global "crypto.getRandomValues" is not available in this environment, please provide a "randomBytes" function in the Database options'
+			);
+
+		if (timeout && typeof AbortController !== 'function')
+			throw Error(
+				'The global "AbortController" is not available in this environment, and is required for timeouts'
+			);
+
 		this.name = name;
 		this.auth = auth;
+		this.retry = { ...defaultRetryOptions, ...retry };
+		this.timeout = timeout;
+		this.batchReads = batchReads;
+		this.batchWrites = batchWrites;
+		if (cache) this.cache = new Cache(cache === true ? {} : cache);
+		if (offline)
+			this.offline = new OfflineQueue(this, offline === true ? {} : offline);
+		// Read the globals lazily, so that they are
+		// called with the right context and can be replaced.
+		this.fetchFn = fetchFn || ((input, init) => fetch(input, init));
+		this.randomBytes =
+			randomBytes || (length => crypto.getRandomValues(new Uint8Array(length)));
 		this.rootPath = `projects/${projectId}/databases/${name}/documents`;
 		this.endpoint = `http${ssl ? 's' : ''}://${host}/v1/${this.rootPath}`;
 	}
@@ -74,14 +337,128 @@ export class Database {
 	 * For internal use only.
 	 * Uses native fetch, but adds authorization headers
 	 * if the Reference was instantiated with an auth instance.
-	 * The API is exactly the same as native fetch.
+	 * The API is the same as native fetch, except that idempotent
+	 * requests that fail due to transient errors are retried
+	 * according to the retry options of the database, and that
+	 * requests can be cancelled by a signal or a timeout.
+	 * @private
+	 */
+	async fetch(
+		input: RequestInfo,
+		init?: RequestInit,
+		options: FetchOptions = {}
+	) {
+		const { signal, timeout = this.timeout } = options;
+
+		// Only replace the signal when needed, so the init object
+		// stays the same as the one that was passed in.
+		if (!signal && !timeout) return this.retryFetch(input, init, options);
+
+		// Without a timeout the signal is used as is, so that
+		// it can also cancel the body of streamed responses.
+		const controller = timeout ? new AbortController() : undefined;
+		const abort = () => controller?.abort();
+		let timedOut = false;
+		const timer =
+			timeout &&
+			setTimeout(() => {
+				timedOut = true;
+				abort();
+			}, timeout);
+
+		if (signal?.aborted) abort();
+		signal?.addEventListener('abort', abort);
+
+		try {
+			return await this.retryFetch(
+				input,
+				{ ...init, signal: controller?.signal || signal },
+				options
+			);
+		} catch (e) {
+			if (controller?.signal.aborted || signal?.aborted)
+				throw new AbortError(timedOut, requestInfo(input, init));
+			throw e;
+		} finally {
+			timer && clearTimeout(timer);
+			signal?.removeEventListener('abort', abort);
+		}
+	}
+
+	/**
+	 * Sends the request, and retries it if it is idempotent
+	 * and failed due to a transient error.
 	 * @private
 	 */
-	fetch(input: RequestInfo, init?: RequestInit) {
-		if (this.auth && this.auth.authorizedRequest)
-			return this.auth.authorizedRequest(input, init).then(handleApiResponse);
+	private async retryFetch(
+		input: RequestInfo,
+		init?: RequestInit,
+		{
+			idempotent = !init || !init.method || init.method === 'GET',
+			stream
+		} = {} as FetchOptions
+	) {
+		const { attempts, baseDelay, jitter } = this.retry;
 
-		return fetch(input, init).then(handleApiResponse);
+		for (let attempt = 1; ; attempt++) {
+			try {
+				return await this.send(input, init, stream);
+			} catch (e) {
+				if (!idempotent || attempt >= attempts || !this.isRetryable(e)) throw e;
+			}
+
+			const delay = baseDelay * 2 ** (attempt - 1);
+			await sleep(delay - delay * jitter * Math.random(), init?.signal);
+		}
+	}
+
+	/**
+	 * Adds a middleware to the end of the chain that every request goes through.
+	 * Middleware run in the order they were added.
+	 */
+	use(middleware: Middleware) {
+		if (typeof middleware !== 'function')
+			throw Error('Expected the middleware to be a function');
+
+		this.middleware.push(middleware);
+		return this;
+	}
+
+	/**
+	 * Sends a single request through the middleware chain,
+	 * authorized when an auth instance is available.
+	 * @private
+	 */
+	private send(input: RequestInfo, init?: RequestInit, stream?: boolean) {
+		const chain =
+			this.auth && this.auth.authorizedRequest
+				? [...this.middleware, authMiddleware(this.auth)]
+				: this.middleware;
+
+		const dispatch = (
+			i: number,
+			request: MiddlewareRequest
+		): Promise<Response> =>
+			i < chain.length
+				? chain[i](request, (next = request) => dispatch(i + 1, next))
+				: this.fetchFn(request.input, request.init);
+
+		return dispatch(0, { input, init }).then(res =>
+			handleApiResponse(res, input, init, stream)
+		);
+	}
+
+	/**
+	 * Returns true if the error is a network failure or has one
+	 * of the status codes that the retry options consider transient.
+	 * @private
+	 */
+	private isRetryable(e: Error) {
+		return (
+			e instanceof TypeError ||
+			(e instanceof FirestoreError &&
+				this.retry.codes.map(toErrorCode).includes(e.code))
+		);
 	}
 
 	/**
@@ -94,27 +471,190 @@ export class Database {
 		return new Reference(path as string, this);
 	}
 
-	async batchGet(refs: Array<Reference | string>) {
-		const response = await this.fetch(this.endpoint + ':batchGet', {
-			method: 'POST',
-			body: JSON.stringify({
-				documents: refs.map(ref => {
-					const path = restrictTo('doc', ref);
-					return `${this.rootPath}/${path}`;
+	async batchGet(
+		refs: Array<Reference | string>,
+		{ signal, timeout, transaction }: ReadOptions = {}
+	) {
+		const response = await this.fetch(
+			this.endpoint + ':batchGet',
+			{
+				method: 'POST',
+				body: JSON.stringify({
+					documents: refs.map(ref => {
+						const path = restrictTo('doc', ref);
+						return `${this.rootPath}/${path}`;
+					}),
+					transaction
 				})
-			})
+			},
+			{ idempotent: true, signal, timeout }
+		);
+
+		return response.map((entry: any) => {
+			if (!entry.found) {
+				this.cache?.delete(entry.missing);
+				return Object.defineProperty({}, '__missing__', {
+					value: entry.missing
+				});
+			}
+
+			const doc = new Document(entry.found, this);
+			this.cache?.set(doc);
+			return doc;
 		});
+	}
+
+	/**
+	 * Queues a document to be fetched together with all the other
+	 * documents queued in the same tick, and returns a promise of it.
+	 * Rejects with a `not-found` error when the document doesn't exist.
+	 * @private
+	 */
+	queueGet(ref: Reference): Promise<Document> {
+		if (!this.pendingGets) {
+			const batch = (this.pendingGets = new Map());
+			// Flush once all the synchronous calls of this tick were made.
+			Promise.resolve().then(() => this.flushGets(batch));
+		}
+
+		// Identical paths share a single entry in the batch.
+		const entry = this.pendingGets.get(ref.name) || { ref, callers: [] };
+		this.pendingGets.set(ref.name, entry);
+
+		return new Promise((resolve, reject) =>
+			entry.callers.push({ resolve, reject })
+		);
+	}
+
+	/**
+	 * Fetches the queued documents, and settles the promise of each caller.
+	 * @private
+	 */
+	private async flushGets(batch: Map<string, PendingGet>) {
+		this.pendingGets = undefined;
+		const entries = [...batch.values()];
+
+		try {
+			const docs = await this.batchGet(entries.map(({ ref }) => ref));
 
-		return response.map((entry: any) =>
-			entry.found
-				? new Document(entry.found, this)
-				: Object.defineProperty({}, '__missing__', { value: entry.missing })
+			for (const doc of docs) {
+				const { ref, callers } = batch.get(
+					doc.__meta__?.name ?? doc.__missing__
+				)!;
+				const error =
+					doc.__missing__ &&
+					new FirestoreError(
+						{
+							message: `Document "${ref.name}" not found.`,
+							status: 'NOT_FOUND'
+						},
+						requestInfo(ref.endpoint, undefined, 404)
+					);
+
+				for (const { resolve, reject } of callers)
+					error ? reject(error) : resolve(doc);
+			}
+		} catch (e) {
+			entries.forEach(({ callers }) =>
+				callers.forEach(({ reject }) => reject(e))
+			);
+		}
+	}
+
+	/**
+	 * Adds writes to a transaction shared with all the other writes queued
+	 * in the same tick or window, and returns a promise that resolves to the
+	 * result of the write once the shared transaction was committed.
+	 * @private
+	 */
+	queueWrite(write: (tx: Transaction) => unknown): Promise<WriteResult> {
+		if (!this.pendingWrites) {
+			const batch = (this.pendingWrites = {
+				tx: new Transaction(this),
+				callers: []
+			});
+			const flush = () => this.flushWrites(batch);
+
+			typeof this.batchWrites === 'number'
+				? setTimeout(flush, this.batchWrites)
+				: Promise.resolve().then(flush);
+		}
+
+		const { tx, callers } = this.pendingWrites;
+		const index = tx.writes.length;
+
+		// Invalid writes only reject their own caller.
+		try {
+			write(tx);
+		} catch (e) {
+			return Promise.reject(e);
+		}
+
+		const promise = new Promise<WriteResult>((resolve, reject) =>
+			callers.push({
+				resolve: commit => resolve(commit.writeResults[index]),
+				reject
+			})
 		);
+
+		// Don't wait for the window to end if the commit is full.
+		if (tx.writes.length >= maxWrites) this.flushWrites(this.pendingWrites);
+
+		return promise;
+	}
+
+	/**
+	 * Commits the queued writes, and settles the promise of each caller.
+	 * @private
+	 */
+	private async flushWrites(batch: PendingWrites) {
+		// The batch might have been flushed already because it was full.
+		if (this.pendingWrites !== batch) return;
+		this.pendingWrites = undefined;
+
+		try {
+			const commit = await batch.tx.commit();
+			batch.callers.forEach(({ resolve }) => resolve(commit));
+		} catch (e) {
+			batch.callers.forEach(({ reject }) => reject(e));
+		}
+	}
+
+	/**
+	 * Listens in realtime to a document or a query, and calls the
+	 * callback with the documents every time they change.
+	 * The changes are streamed over the WebChannel that
+	 * Firestore serves Listen on, see `Listener`.
+	 * Returns a function that stops listening.
+	 */
+	listen(
+		target: Reference | Query,
+		callback: SnapshotCallback,
+		options: ListenOptions = {}
+	) {
+		if (!this.listener) this.listener = new Listener(this);
+		return this.listener.add(target, callback, options);
+	}
+
+	/**
+	 * Returns a new write batch, which is split
+	 * automatically into multiple commits when needed.
+	 */
+	batch() {
+		return new WriteBatch(this);
+	}
+
+	/**
+	 * Returns a new BulkWriter, which writes a lot of
+	 * documents in parallel without atomicity.
+	 */
+	bulkWriter(options?: BulkWriterOptions) {
+		return new BulkWriter(this, options);
 	}
 
 	/** Returns a new transaction instance */
-	transaction() {
-		return new Transaction(this);
+	transaction(options?: TransactionOptions) {
+		return new Transaction(this, options);
 	}
 
 	/**
@@ -124,29 +664,43 @@ export class Database {
 	 * the updateFunction. If it fails to commit after 5 attempts, the
 	 * transaction fails and throws.
 	 *
+	 * Each attempt runs on a new transaction, after an exponential backoff.
+	 * Resolves with the value returned by the `updateFunction`.
+	 *
 	 * Will not re-attempt if an error is thrown inside the `updateFunction`
-	 * or if any error that is not related to the transaction is received
-	 * like a network error etc.
+	 * (unless a read was aborted because of contention), or if any error that
+	 * is not related to the transaction is received like a network error etc.
+	 * The error is thrown as is, so its `code` can be checked.
 	 */
-	async runTransaction(fn: UpdateFunction, attempts = 5) {
-		const tx = new Transaction(this);
+	async runTransaction<T>(fn: UpdateFunction<T>, attempts = 5): Promise<T> {
+		const { baseDelay, jitter } = this.retry;
+		let retryTransaction: string | undefined;
 
-		while (attempts > 0) {
-			await fn(tx);
+		for (let attempt = 1; ; attempt++) {
+			const tx = new Transaction(this, { retryTransaction });
+			let committing = false;
 
-			// Only retry on transaction errors.
 			try {
+				const result = await fn(tx);
+				committing = true;
 				await tx.commit();
-				break; // Stop trying if it succeeded.
+				return result;
 			} catch (e) {
-				// Only throw if the error is not related to the transaction, or it is the last attempt.
-				if (
-					attempts === 0 ||
-					(e.status !== 'NOT_FOUND' && e.status !== 'FAILED_PRECONDITION')
-				)
-					throw Error(e);
+				// Release the locks of the documents that were read.
+				committing || (await tx.rollback().catch(() => {}));
+
+				// Only retry on transaction errors. Errors thrown by the update
+				// function are retried only when a read contended with another transaction.
+				const retryable = committing
+					? transactionCodes.includes(e.code)
+					: e.code === 'aborted';
+				if (!retryable || attempt >= attempts) throw e;
 			}
-			attempts--;
+
+			// Retrying the failed transaction gives it a higher priority.
+			retryTransaction = tx.id;
+			const delay = baseDelay * 2 ** (attempt - 1);
+			await sleep(delay - delay * jitter * Math.random());
 		}
 	}
 
@@ -0,0 +1,94 @@
+/**
+ * Segments that can be used in a field path without quoting.
+ * @private
+ */
+const simpleSegment = /^[a-zA-Z_][a-zA-Z_0-9]*$/;
+
+/**
+ * Quotes a segment with backticks when it isn't a simple name,
+ * and escapes the backticks and backslashes in it.
+ * @private
+ */
+function quote(segment: string) {
+	if (simpleSegment.test(segment)) return segment;
+	return '`' + segment.replace(/[\\`]/g, '\\$&') + '`';
+}
+
+/**
+ * Represents the path to a field inside a document, made of the names
+ * of the maps that contain it and the name of the field.
+ * Use it for field names that contain dots, or any other character
+ * that isn't a letter, a digit or an underscore.
+ */
+export class FieldPath {
+	/** The names of the maps that contain the field, followed by the field name */
+	readonly segments: string[];
+
+	constructor(...segments: string[]) {
+		if (!segments.length)
+			throw Error('A field path needs at least one segment');
+		segments.forEach(segment => {
+			if (typeof segment !== 'string' || !segment)
+				throw Error('The segments of a field path must be non empty strings');
+		});
+
+		this.segments = segments;
+	}
+
+	/**
+	 * Parses a path in which the segments are separated by dots, and
+	 * can be quoted with backticks. For example `` a.`b.c` `` has two segments.
+	 */
+	static fromString(path: string) {
+		if (typeof path !== 'string') throw Error('Invalid field path');
+
+		const segments: string[] = [];
+		let segment = '';
+		let quoted = false;
+
+		for (let i = 0; i < path.length; i++) {
+			const char = path[i];
+
+			if (quoted && char === '\\') segment += path[++i] ?? '';
+			else if (char === '`') quoted = !quoted;
+			else if (char === '.' && !quoted) {
+				segments.push(segment);
+				segment = '';
+			} else segment += char;
+		}
+
+		if (quoted) throw Error(`Unterminated backtick in field path "${path}"`);
+		segments.push(segment);
+
+		if (segments.some(segment => !segment))
+			throw Error(`Invalid field path "${path}"`);
+
+		return new FieldPath(...segments);
+	}
+
+	/** Returns true if both paths point to the same field */
+	isEqual(other: FieldPath) {
+		return this.toString() === other.toString();
+	}
+
+	/** Returns the path as expected by the REST API, with the segments quoted when needed */
+	toString() {
+		return this.segments.map(quote).join('.');
+	}
+
+	toJSON() {
+		return this.toString();
+	}
+}
+
+/**
+ * Converts a field path given as a dotted string or a FieldPath
+ * into the format expected by the REST API.
+ * @private
+ */
+export function toFieldPath(path: string | FieldPath) {
+	return (path instanceof FieldPath
+		? path
+		: FieldPath.fromString(path)
+	).toString();
+}
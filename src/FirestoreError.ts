@@ -0,0 +1,134 @@
+/**
+ * Maps HTTP statuses to error codes, used when
+ * the response doesn't include a gRPC status.
+ * @private
+ */
+const httpStatusMap: { [status: number]: string } = {
+	400: 'invalid-argument',
+	401: 'unauthenticated',
+	403: 'permission-denied',
+	404: 'not-found',
+	409: 'aborted',
+	429: 'resource-exhausted',
+	499: 'cancelled',
+	500: 'internal',
+	501: 'unimplemented',
+	503: 'unavailable',
+	504: 'deadline-exceeded'
+};
+
+/**
+ * The names of the gRPC status codes, by their number.
+ * @private
+ */
+export const grpcStatuses = [
+	'OK',
+	'CANCELLED',
+	'UNKNOWN',
+	'INVALID_ARGUMENT',
+	'DEADLINE_EXCEEDED',
+	'NOT_FOUND',
+	'ALREADY_EXISTS',
+	'PERMISSION_DENIED',
+	'RESOURCE_EXHAUSTED',
+	'FAILED_PRECONDITION',
+	'ABORTED',
+	'OUT_OF_RANGE',
+	'UNIMPLEMENTED',
+	'INTERNAL',
+	'UNAVAILABLE',
+	'DATA_LOSS',
+	'UNAUTHENTICATED'
+];
+
+/**
+ * Converts a gRPC status like `PERMISSION_DENIED`
+ * into an error code like `permission-denied`.
+ * @private
+ */
+export function toErrorCode(status: string) {
+	return status.toLowerCase().replace(/_/g, '-');
+}
+
+/** The error object returned by the Firestore REST API */
+export interface FirebaseError {
+	/** The HTTP status */
+	code?: number;
+	/** A developer-facing error message */
+	message?: string;
+	/** The gRPC status, for example `NOT_FOUND` */
+	status?: string;
+	/** A list of objects that carry the error details */
+	details?: any[];
+}
+
+/** Information about the request that failed */
+export interface FailedRequest {
+	/** The HTTP status of the response */
+	status: number;
+	/** The path of the request url */
+	path: string;
+	/** The HTTP method of the request */
+	method: string;
+}
+
+/**
+ * Represents an error returned by the Firestore REST API.
+ * The `code` is a normalized version of the gRPC status,
+ * for example `permission-denied`, `not-found` or `failed-precondition`.
+ */
+export class FirestoreError extends Error {
+	name = 'FirestoreError';
+	/** The normalized error code, for example `not-found` */
+	code: string;
+	/** The HTTP status of the response */
+	status: number;
+	/** A list of objects that carry the error details */
+	details: any[];
+	/** The path of the request url */
+	path: string;
+	/** The HTTP method of the request */
+	method: string;
+
+	constructor(error: FirebaseError, { status, path, method }: FailedRequest) {
+		super(error.message || `Request failed with status ${status}`);
+
+		this.code = error.status
+			? toErrorCode(error.status)
+			: httpStatusMap[status] || 'unknown';
+		this.status = status;
+		this.details = error.details || [];
+		this.path = path;
+		this.method = method;
+	}
+}
+
+/**
+ * Thrown when a request is cancelled by an AbortSignal, or when it
+ * doesn't complete within its timeout. The code is `cancelled` when
+ * aborted and `deadline-exceeded` when timed out.
+ */
+export class AbortError extends FirestoreError {
+	name = 'AbortError';
+
+	constructor(timedOut: boolean, request: FailedRequest) {
+		super(
+			timedOut
+				? { message: 'The request timed out', status: 'DEADLINE_EXCEEDED' }
+				: { message: 'The request was aborted', status: 'CANCELLED' },
+			request
+		);
+	}
+}
+
+/**
+ * Returns true if the error means that the server couldn't be reached.
+ * Timeouts are excluded, because the request might have reached the server.
+ * @private
+ */
+export function isOfflineError(e: Error) {
+	return (
+		e instanceof TypeError ||
+		(e instanceof FirestoreError && e.code === 'unavailable')
+	);
+}
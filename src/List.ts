@@ -44,9 +44,16 @@ export class List {
 		this.options.pageToken = nextPageToken;
 	}
 
+	/** Whether there are more documents to fetch after this page */
+	get hasNextPage() {
+		return Boolean(this.options.pageToken);
+	}
+
 	/** Fetches the next page in the query */
-	getNextPage() {
-		return this.ref.list(this.options);
+	async getNextPage() {
+		if (!this.hasNextPage) throw Error('There are no more pages to fetch');
+		// Copy the options, so the token of this page isn't replaced by the next one.
+		return this.ref.list({ ...this.options });
 	}
 
 	[Symbol.iterator]() {
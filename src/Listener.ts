@@ -0,0 +1,493 @@
+import { Database } from './Database';
+import { Document } from './Document';
+import { Reference } from './Reference';
+import { Query } from './Query';
+import { FirestoreError, grpcStatuses, isOfflineError } from './FirestoreError';
+import { diff, SnapshotCallback } from './Snapshot';
+import { restrictTo } from './utils';
+
+export interface ListenOptions {
+	/**
+	 * Called when the server rejected or removed the target,
+	 * for example when the user lacks permissions. The listening stops afterwards.
+	 * Without it the error is ignored.
+	 */
+	onError?(error: Error): void;
+}
+
+/** @private */
+interface Target {
+	/** The id of the target, unique for each listener */
+	id: number;
+	/** The target as expected by the API, without the id and resume token */
+	target: any;
+	callback: SnapshotCallback;
+	onError?(error: Error): void;
+	/** The documents that currently match the target */
+	docs: Map<string, Document>;
+	/** The documents that were reported in the last snapshot */
+	reported?: Map<string, Document>;
+	/** Whether the server sent all the documents of the target */
+	current: boolean;
+	/** Used to resume the channel from where it stopped */
+	resumeToken?: string;
+	/** Used to close the channel */
+	controller?: AbortController;
+	/** The amount of connections that failed in a row */
+	failures: number;
+}
+
+/**
+ * The max delay in milliseconds between reconnection attempts.
+ * @private
+ */
+const maxDelay = 60 * 1000;
+
+/**
+ * The version of the WebChannel protocol that Firestore serves.
+ * @private
+ */
+const channelVersion = '8';
+
+/**
+ * The path of the WebChannel that serves the Listen method.
+ * @private
+ */
+const channelPath = '/google.firestore.v1.Firestore/Listen/channel';
+
+/** @private */
+interface Channel {
+	/** The id of the session, sent by the server when the channel opens */
+	sid: string;
+	/** Routes the requests of the channel to the same server */
+	gsessionid?: string;
+	/** The id of the last array that was received */
+	aid: number;
+	/** The id of the last request that was sent to the server */
+	rid: number;
+}
+
+/**
+ * Incrementally parses the chunks of a WebChannel response. Each chunk is a
+ * JSON array of `[arrayId, payload]` pairs, prefixed with its length and a
+ * newline. Returns the pairs of each chunk once it was fully received.
+ * @private
+ */
+export class ChunkParser {
+	private buffer = '';
+
+	push(text: string) {
+		const arrays: [number, any[]][] = [];
+		this.buffer += text;
+
+		for (let newline; (newline = this.buffer.indexOf('\n')) !== -1; ) {
+			const size = this.buffer.slice(0, newline).trim();
+			if (!/^\d+$/.test(size)) throw Error('Invalid WebChannel chunk size');
+
+			const end = newline + 1 + Number(size);
+			if (this.buffer.length < end) break;
+
+			arrays.push(...JSON.parse(this.buffer.slice(newline + 1, end)));
+			this.buffer = this.buffer.slice(end);
+		}
+
+		return arrays;
+	}
+}
+
+/**
+ * Reads the body of a response as text. Supports both web
+ * streams and Node.js streams, which don't have a reader.
+ * @private
+ */
+async function* readText(body: any): AsyncGenerator<string> {
+	const decoder = new TextDecoder();
+
+	if (!body.getReader) {
+		for await (const chunk of body)
+			yield decoder.decode(chunk, { stream: true });
+		return;
+	}
+
+	const reader = body.getReader();
+	try {
+		while (true) {
+			const { done, value } = await reader.read();
+			if (done) return;
+			yield decoder.decode(value, { stream: true });
+		}
+	} finally {
+		reader.releaseLock();
+	}
+}
+
+/**
+ * Converts a reference to a document or a query into a Listen target.
+ * @private
+ */
+function toTarget(target: Reference | Query) {
+	if (target instanceof Query)
+		return {
+			query: {
+				parent: target.parent.name.replace(/\/$/, ''),
+				...target.toJSON()
+			}
+		};
+
+	if (target instanceof Reference) {
+		restrictTo('doc', target);
+		return { documents: { documents: [target.name] } };
+	}
+
+	throw Error('Expected a Reference to a document or a Query');
+}
+
+/**
+ * Realtime listener that speaks the WebChannel protocol Firestore serves the
+ * Listen method over in browsers. The channel is opened by POSTing the
+ * `ListenRequest` as a form, and the `ListenResponse` messages are then
+ * streamed by the GET requests of its back channel.
+ *
+ * Each target is streamed over its own channel, and is reconnected with
+ * a backoff and resumed from where it stopped when the channel closes.
+ */
+export class Listener {
+	private targets = new Map<number, Target>();
+	private nextId = 1;
+
+	constructor(private db: Database) {}
+
+	/**
+	 * Starts listening to a document or a query, and calls the callback
+	 * with the documents every time they change.
+	 * Returns a function that stops listening.
+	 */
+	add(
+		target: Reference | Query,
+		callback: SnapshotCallback,
+		{ onError }: ListenOptions = {}
+	) {
+		if (typeof callback !== 'function')
+			throw Error('Expected the callback to be a function');
+
+		const state: Target = {
+			id: this.nextId++,
+			target: toTarget(target),
+			callback,
+			onError,
+			docs: new Map(),
+			current: false,
+			failures: 0
+		};
+
+		this.targets.set(state.id, state);
+		// The failures are reported to onError by the connection itself.
+		this.connect(state).catch(() => {});
+
+		return () => this.remove(state.id);
+	}
+
+	/** Stops listening to a target, and closes its channel. */
+	remove(targetId: number) {
+		const target = this.targets.get(targetId);
+		if (!target) return;
+
+		this.targets.delete(targetId);
+		target.controller?.abort();
+	}
+
+	/** Stops listening to all the targets. */
+	close() {
+		[...this.targets.keys()].forEach(id => this.remove(id));
+	}
+
+	/**
+	 * Opens the channel of a target and handles its messages.
+	 * Reconnects until the target is removed or fails.
+	 * @private
+	 */
+	private async connect(target: Target) {
+		while (this.targets.has(target.id)) {
+			const controller = (target.controller = new AbortController());
+			let channel: Channel | undefined;
+			let reset = false;
+			let error;
+
+			try {
+				channel = await this.open(target, controller.signal);
+				reset = await this.read(target, channel, controller.signal);
+			} catch (e) {
+				error = e;
+			}
+
+			controller.abort();
+			if (channel) this.terminate(channel);
+			if (!this.targets.has(target.id)) return;
+
+			// Channels that are closed by the server after a while are reconnected too.
+			if (error && !isOfflineError(error) && error.code !== 'deadline-exceeded')
+				return this.fail(target, error);
+
+			if (reset) continue;
+
+			// The channel closed, so wait before reconnecting.
+			const delay = this.db.retry.baseDelay * 2 ** target.failures++;
+			await new Promise(resolve =>
+				setTimeout(resolve, Math.min(delay, maxDelay))
+			);
+		}
+	}
+
+	/**
+	 * Opens a channel that listens to the target. The `ListenRequest` is sent
+	 * with the handshake, which responds with the id of the session.
+	 * @private
+	 */
+	private async open(target: Target, signal: AbortSignal): Promise<Channel> {
+		const rid = Math.floor(Math.random() * 100000);
+		const res = await this.db.fetch(
+			this.channelUrl({
+				RID: String(rid),
+				CVER: '22',
+				'X-HTTP-Session-Id': 'gsessionid'
+			}),
+			{
+				method: 'POST',
+				headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+				body: new URLSearchParams({
+					count: '1',
+					ofs: '0',
+					req0___data__: JSON.stringify({
+						database: this.database,
+						addTarget: {
+							...target.target,
+							targetId: target.id,
+							resumeToken: target.resumeToken
+						}
+					})
+				}).toString()
+			},
+			{ stream: true, signal }
+		);
+
+		const [handshake] = new ChunkParser().push(await res.text());
+		if (!handshake || handshake[1][0] !== 'c')
+			throw Error('Unexpected response to the WebChannel handshake');
+
+		const [aid, [, sid]] = handshake;
+		return {
+			sid,
+			gsessionid: res.headers.get('X-HTTP-Session-Id') || undefined,
+			aid,
+			rid
+		};
+	}
+
+	/**
+	 * Handles the messages of the back channel until the channel closes.
+	 * The server ends each back channel request after a while, so it's
+	 * requested again for as long as it keeps delivering messages.
+	 * Returns true if the target has to be fetched again from scratch.
+	 * @private
+	 */
+	private async read(target: Target, channel: Channel, signal: AbortSignal) {
+		for (let received = true; received; ) {
+			received = false;
+
+			const res = await this.db.fetch(
+				this.channelUrl({
+					...this.session(channel),
+					RID: 'rpc',
+					AID: String(channel.aid),
+					CI: '0',
+					TYPE: 'xmlhttp'
+				}),
+				undefined,
+				{ stream: true, signal, timeout: 0 }
+			);
+
+			const parser = new ChunkParser();
+			for await (const text of readText(res.body)) {
+				for (const [id, payload] of parser.push(text)) {
+					channel.aid = id;
+					received = true;
+
+					// Errors are sent either as the message or wrapped in an array.
+					const message = Array.isArray(payload[0])
+						? payload[0][0]
+						: payload[0];
+					if (message === 'close' || message === 'stop') return false;
+					if (message !== 'noop' && !this.handle(target, message)) return true;
+				}
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Lets the server know that the channel isn't used anymore.
+	 * @private
+	 */
+	private terminate(channel: Channel) {
+		this.db
+			.fetch(
+				this.channelUrl({
+					...this.session(channel),
+					RID: String(++channel.rid),
+					TYPE: 'terminate'
+				})
+			)
+			// The server drops the channel after a while anyway.
+			.catch(() => {});
+	}
+
+	/**
+	 * The parameters that identify the session of a channel.
+	 * @private
+	 */
+	private session({ sid, gsessionid }: Channel) {
+		const params: Record<string, string> = { SID: sid };
+		if (gsessionid) params.gsessionid = gsessionid;
+		return params;
+	}
+
+	/**
+	 * The name of the database, without the path to the documents.
+	 * @private
+	 */
+	private get database() {
+		return this.db.rootPath.replace(/\/documents$/, '');
+	}
+
+	/**
+	 * Returns the URL of a request of the channel, with the given parameters.
+	 * @private
+	 */
+	private channelUrl(params: Record<string, string>) {
+		const url = new URL(channelPath, this.db.endpoint);
+		url.search = new URLSearchParams({
+			database: this.database,
+			VER: channelVersion,
+			...params,
+			zx: Math.random().toString(36).slice(2),
+			t: '1'
+		}).toString();
+
+		return url.toString();
+	}
+
+	/**
+	 * Applies a message of the channel to the target.
+	 * Returns false if the target has to be fetched again from scratch.
+	 * @private
+	 */
+	private handle(target: Target, message: any) {
+		const {
+			targetChange,
+			documentChange,
+			documentDelete,
+			documentRemove,
+			filter,
+			error
+		} = message;
+		target.failures = 0;
+
+		if (error) throw this.error(error);
+
+		if (documentChange) {
+			const { document, targetIds = [] } = documentChange;
+
+			targetIds.includes(target.id)
+				? target.docs.set(document.name, new Document(document, this.db))
+				: target.docs.delete(document.name);
+		}
+
+		const removed = documentDelete || documentRemove;
+		if (removed) target.docs.delete(removed.document);
+
+		// When the count doesn't match, documents were removed
+		// while disconnected, and we don't know which.
+		if (filter && (filter.count || 0) !== target.docs.size) {
+			target.docs.clear();
+			target.current = false;
+			target.resumeToken = undefined;
+			return false;
+		}
+
+		if (targetChange) {
+			const {
+				targetChangeType = 'NO_CHANGE',
+				targetIds = [],
+				cause,
+				resumeToken
+			} = targetChange;
+
+			if (targetIds.length && !targetIds.includes(target.id)) return true;
+
+			switch (targetChangeType) {
+				case 'REMOVE':
+					throw this.error(
+						cause
+							? { message: cause.message, status: grpcStatuses[cause.code] }
+							: { message: 'The target was removed by the server' }
+					);
+				case 'RESET':
+					target.docs.clear();
+					target.current = false;
+					break;
+				case 'CURRENT':
+					target.current = true;
+					break;
+			}
+
+			if (resumeToken) target.resumeToken = resumeToken;
+
+			// Only report snapshots that are consistent.
+			if (resumeToken && target.current) this.report(target);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Calls the callback of the target if the documents changed
+	 * since the last snapshot, or if this is the first one.
+	 * @private
+	 */
+	private report(target: Target) {
+		const docs = [...target.docs.values()];
+		const first = !target.reported;
+		const changes = diff(target.reported || new Map(), docs);
+		const { added, modified, removed } = changes;
+
+		target.reported = new Map(target.docs);
+		if (first || added.length || modified.length || removed.length)
+			target.callback(docs, changes);
+	}
+
+	/**
+	 * Stops listening to a target that can't be recovered.
+	 * @private
+	 */
+	private fail(target: Target, error: Error) {
+		this.remove(target.id);
+
+		// An error in the callback shouldn't escape the connection loop.
+		try {
+			target.onError && target.onError(error);
+		} catch (e) {}
+	}
+
+	/**
+	 * Creates an error for a failure reported inside the channel.
+	 * @private
+	 */
+	private error(error: any) {
+		return new FirestoreError(error, {
+			status: 200,
+			path: channelPath,
+			method: 'GET'
+		});
+	}
+}
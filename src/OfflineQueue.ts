@@ -0,0 +1,173 @@
+import { Database } from './Database';
+import { isOfflineError } from './FirestoreError';
+import { fid } from './utils';
+
+/** A batch of writes that is waiting to be committed */
+export interface QueuedBatch {
+	/** A random ID used to identify the batch */
+	id: string;
+	/** The writes, in the same shape as `Transaction.writes` */
+	writes: any[];
+}
+
+/**
+ * Where the queued batches are persisted, for example IndexedDB or localStorage.
+ * The batches are plain JSON objects, so they can be safely serialized.
+ */
+export interface StorageAdapter {
+	/** Returns the saved batches, in order */
+	load(): QueuedBatch[] | Promise<QueuedBatch[]>;
+	/** Replaces the saved batches with the given ones */
+	save(batches: QueuedBatch[]): void | Promise<void>;
+}
+
+/** Errors thrown by the callbacks are ignored, so they can't stop the replay */
+export interface OfflineOptions {
+	/** Where to persist the queue, defaults to memory */
+	storage?: StorageAdapter;
+	/** Called when a queued batch was committed */
+	onSuccess?(batch: QueuedBatch): void;
+	/**
+	 * Called when a queued batch was rejected because of its preconditions,
+	 * meaning that the documents were changed while offline.
+	 */
+	onConflict?(batch: QueuedBatch, error: Error): void;
+	/** Called when a queued batch was rejected for any other reason */
+	onFailure?(batch: QueuedBatch, error: Error): void;
+}
+
+/**
+ * Error codes returned when a precondition of a write fails.
+ * @private
+ */
+const conflictCodes = ['failed-precondition', 'already-exists', 'not-found'];
+
+/**
+ * Calls a callback of the options if it was set, and ignores its errors.
+ * @private
+ */
+function notify(callback: Function | undefined, ...args: any[]) {
+	try {
+		callback && callback(...args);
+	} catch (e) {}
+}
+
+/** Storage adapter that keeps the queue in memory, and is lost on reload */
+export class MemoryStorage implements StorageAdapter {
+	private batches: QueuedBatch[] = [];
+
+	load() {
+		return this.batches;
+	}
+
+	save(batches: QueuedBatch[]) {
+		this.batches = batches;
+	}
+}
+
+/**
+ * Queue of write batches that couldn't be committed because the
+ * network was down. The batches are committed in order when connectivity
+ * comes back, and new commits wait for them in order to keep the order of writes.
+ */
+export class OfflineQueue {
+	storage: StorageAdapter;
+	private batches: QueuedBatch[] = [];
+	private ready: Promise<void>;
+	private saving: Promise<void> = Promise.resolve();
+	private replaying?: Promise<void>;
+	// The replay is retried when the browser goes online again, so its failures can be ignored.
+	private onOnline = () => this.replay().catch(() => {});
+
+	constructor(private db: Database, private options: OfflineOptions = {}) {
+		this.storage = options.storage || new MemoryStorage();
+		this.ready = Promise.resolve(this.storage.load()).then(batches => {
+			// Batches that were added before the storage was loaded go last.
+			this.batches = [...batches, ...this.batches];
+			this.batches.length && this.onOnline();
+		});
+
+		if (typeof addEventListener === 'function')
+			addEventListener('online', this.onOnline);
+	}
+
+	/**
+	 * Stops replaying the queue when the browser goes online,
+	 * so the queue can be garbage collected. The queued batches are kept in the storage.
+	 */
+	close() {
+		if (typeof removeEventListener === 'function')
+			removeEventListener('online', this.onOnline);
+	}
+
+	/** Returns the batches that are waiting to be committed */
+	async pending() {
+		await this.ready;
+		return [...this.batches];
+	}
+
+	/**
+	 * Adds the writes to the end of the queue.
+	 * Resolves once they are persisted.
+	 */
+	async enqueue(writes: any[]) {
+		this.batches.push({ id: fid(this.db.randomBytes), writes });
+		await this.ready;
+		return this.save();
+	}
+
+	/**
+	 * Commits the queued batches in order. Stops when the network
+	 * is down, and leaves the remaining batches in the queue.
+	 */
+	replay() {
+		if (!this.replaying)
+			this.replaying = this.flush().finally(() => {
+				this.replaying = undefined;
+			});
+
+		return this.replaying;
+	}
+
+	/** @private */
+	private async flush() {
+		await this.ready;
+		const { onSuccess, onConflict, onFailure } = this.options;
+
+		while (this.batches.length) {
+			const [batch] = this.batches;
+			let error: any;
+
+			try {
+				await this.db.fetch(this.db.endpoint + ':commit', {
+					method: 'POST',
+					body: JSON.stringify({ writes: batch.writes })
+				});
+			} catch (e) {
+				if (isOfflineError(e)) return;
+				error = e;
+			}
+
+			// Remove the batch before the callbacks, so it is never sent twice.
+			// A failed save is fixed by the next one, which saves the whole queue.
+			this.batches.shift();
+			await this.save().catch(() => {});
+
+			if (!error) notify(onSuccess, batch);
+			else if (conflictCodes.includes(error.code))
+				notify(onConflict, batch, error);
+			else notify(onFailure, batch, error);
+		}
+	}
+
+	/**
+	 * Persists the queue. Saves are chained so they complete in order.
+	 * @private
+	 */
+	private save() {
+		const batches = [...this.batches];
+		const save = () => this.storage.save(batches);
+		// A failed save shouldn't prevent the next ones.
+		return (this.saving = this.saving.then(save, save));
+	}
+}
@@ -1,6 +1,16 @@
 import { Document } from './Document';
 import { Reference } from './Reference';
-import { isPath, isRef, isPositiveInteger, encodeValue } from './utils';
+import {
+	isPath,
+	isRef,
+	isPositiveInteger,
+	encodeValue,
+	decodeValue
+} from './utils';
+import { ReadOptions } from './Database';
+import { poll, SnapshotCallback, SnapshotOptions } from './Snapshot';
+import { ListenOptions } from './Listener';
+import { FieldPath, toFieldPath } from './FieldPath';
 
 interface FromOption {
 	/** Reference to the collection */
@@ -11,16 +21,92 @@ interface FromOption {
 
 type FilterOption = [
 	/** Property name */
-	string,
+	string | FieldPath,
 	/** Operator */
-	'<' | '<=' | '>' | '>=' | '==' | 'contains' | 'contains-any' | 'in',
+	keyof typeof operatorsMap,
 	/** The value to compare against */
 	any
 ];
 
+/**
+ * A filter made of other filters, that matches when all of them
+ * match (`AND`) or when any of them matches (`OR`).
+ * Created with the `and` and `or` functions.
+ */
+export class CompositeFilter {
+	constructor(readonly op: 'AND' | 'OR', readonly filters: Filter[]) {}
+}
+
+type Filter = FilterOption | CompositeFilter;
+
+/**
+ * An aggregation over the documents that match a query.
+ * Created with the `count`, `sum` and `average` functions.
+ */
+export class Aggregation {
+	/** The path of the aggregated field, missing for count */
+	readonly fieldPath?: string;
+
+	constructor(
+		readonly type: 'count' | 'sum' | 'avg',
+		field?: string | FieldPath
+	) {
+		if (type !== 'count') this.fieldPath = toFieldPath(field!);
+	}
+
+	toJSON() {
+		const { type, fieldPath } = this;
+		return { [type]: fieldPath ? { field: { fieldPath } } : {} };
+	}
+}
+
+/** Counts the documents that match the query */
+export function count() {
+	return new Aggregation('count');
+}
+
+/** Sums the numeric values of a field, in the documents that match the query */
+export function sum(field: string | FieldPath) {
+	return new Aggregation('sum', field);
+}
+
+/**
+ * Averages the numeric values of a field, in the documents that match the query.
+ * The average of no values is null.
+ */
+export function average(field: string | FieldPath) {
+	return new Aggregation('avg', field);
+}
+
+export interface StreamOptions extends ReadOptions {
+	/** The amount of documents fetched in each request, defaults to 100 */
+	pageSize?: number;
+}
+
+/** A document, or an array with a value for each of the orderBy fields */
+type CursorOption = Document | any[];
+
+/** @private */
+interface Cursor {
+	/** The document to start or end at, or the values of the orderBy fields */
+	values: Document | any[];
+	/** Whether the position is just before the values, or just after them */
+	before: boolean;
+}
+
+/** Returns a filter that matches documents that match all of the given filters */
+export function and(...filters: Filter[]) {
+	return new CompositeFilter('AND', filters);
+}
+
+/** Returns a filter that matches documents that match any of the given filters */
+export function or(...filters: Filter[]) {
+	return new CompositeFilter('OR', filters);
+}
+
 interface OrderOption {
 	/** The field path to use while ordering */
-	field: string;
+	field: string | FieldPath;
 	/** The direction to order by */
 	direction?: 'asc' | 'desc';
 }
@@ -28,17 +114,31 @@ interface OrderOption {
 export interface QueryOptions {
 	[key: string]: any;
 	/** The fields to return, leave empty to return the whole doc. */
-	select?: string[];
+	select?: Array<string | FieldPath>;
 	/** The collection to query, Should be set automatically if you are using `ref.query()` */
 	from?: FromOption;
-	/** Filter used to select matching documents */
-	where?: FilterOption[];
+	/** Filters used to select matching documents, all of them have to match */
+	where?: Filter | Filter[];
 	/** The field to use while ordering the results and direction */
-	orderBy?: string | OrderOption | Array<string | OrderOption>;
-	/** Reference to a document from which to start the query */
-	startAt?: Document;
-	/** Reference to a document at which to end the query */
-	endAt?: Document;
+	orderBy?:
+		| string
+		| FieldPath
+		| OrderOption
+		| Array<string | FieldPath | OrderOption>;
+	/**
+	 * A document, or the values of the orderBy fields, from which to start the query.
+	 * The matching documents are included.
+	 */
+	startAt?: CursorOption;
+	/** Like `startAt`, but excludes the matching documents */
+	startAfter?: CursorOption;
+	/**
+	 * A document, or the values of the orderBy fields, at which to end the query.
+	 * The matching documents are included.
+	 */
+	endAt?: CursorOption;
+	/** Like `endAt`, but excludes the matching documents */
+	endBefore?: CursorOption;
 	/** The number of results to skip */
 	offset?: number;
 	/** The max amount of documents to return */
@@ -53,25 +153,122 @@ const operatorsMap = {
 	'>': 'GREATER_THAN',
 	'>=': 'GREATER_THAN_OR_EQUAL',
 	'==': 'EQUAL',
+	'!=': 'NOT_EQUAL',
 	contains: 'ARRAY_CONTAINS',
 	'contains-any': 'ARRAY_CONTAINS_ANY',
-	in: 'IN'
+	'array-contains': 'ARRAY_CONTAINS',
+	'array-contains-any': 'ARRAY_CONTAINS_ANY',
+	in: 'IN',
+	'not-in': 'NOT_IN'
 };
 
 /**
- * Checks if a value is a valid filter array.
+ * Operators that compare the field to each of the values in an array.
+ * @private
+ */
+const arrayOperators = ['in', 'not-in', 'contains-any', 'array-contains-any'];
+
+/**
+ * Checks if a value is a valid filter array, or a valid composite filter.
+ * Errors of sub-filters are prefixed with their position, for example `or[1]: and[0]: `.
  * @private
  */
 function validateFilter(filter: any): void {
+	if (filter instanceof CompositeFilter) {
+		const name = filter.op.toLowerCase();
+		if (!filter.filters.length)
+			throw Error(`"${name}" needs at least one filter`);
+
+		filter.filters.forEach((subFilter, i) => {
+			try {
+				validateFilter(subFilter);
+			} catch (e) {
+				throw Error(`${name}[${i}]: ${e.message}`);
+			}
+		});
+		return;
+	}
+
 	if (!Array.isArray(filter) || filter.length !== 3)
 		throw Error('Filter missing arguments');
 
 	const [fieldPath, op, value] = filter;
-	if (typeof fieldPath !== 'string') throw Error('Invalid field path');
+	if (typeof fieldPath !== 'string' && !(fieldPath instanceof FieldPath))
+		throw Error('Invalid field path');
 	if (!(op in operatorsMap)) throw Error('Invalid operator');
-	if ((value === null || Number.isNaN(value)) && filter[1] !== '==')
-		throw Error('Null and NaN can only be used with the == operator');
+	if ((value === null || Number.isNaN(value)) && op !== '==' && op !== '!=')
+		throw Error('Null and NaN can only be used with the == and != operators');
 	if (value === undefined) throw Error('Invalid comparative value');
+	if (arrayOperators.includes(op) && (!Array.isArray(value) || !value.length))
+		throw Error(`The "${op}" operator requires a non empty array`);
+	if ((op === 'contains' || op === 'array-contains') && Array.isArray(value))
+		throw Error(`The "${op}" operator can't be used with an array`);
+}
+
+/**
+ * Creates a cursor from the arguments of a cursor method,
+ * which are either a single document or the values of the orderBy fields.
+ * @private
+ */
+function toCursor(values: any[], before: boolean): Cursor {
+	if (!values.length)
+		throw Error(
+			'Expected a Document instance or the values of the orderBy fields'
+		);
+	if (values.some(value => value === undefined))
+		throw Error("Cursor values can't be undefined");
+
+	const [doc] = values;
+	if (doc instanceof Document && values.length === 1)
+		return { values: doc, before };
+
+	return { values, before };
+}
+
+/**
+ * Operators that make a filter an inequality, which orders the results by its field.
+ * @private
+ */
+const inequalityOperators = ['<', '<=', '>', '>=', '!=', 'not-in'];
+
+/**
+ * Returns the paths of the fields that are filtered by an inequality.
+ * @private
+ */
+function inequalityFields(filters: Filter[]): string[] {
+	const fields: string[] = [];
+
+	for (const filter of filters) {
+		if (filter instanceof CompositeFilter)
+			fields.push(...inequalityFields(filter.filters));
+		else if (inequalityOperators.includes(filter[1]))
+			fields.push(toFieldPath(filter[0]));
+	}
+
+	return fields;
+}
+
+/**
+ * Returns a copy of the orders, with the orders that the server implicitly adds
+ * for the fields of inequality filters. They are added in lexicographic order,
+ * before the document name, in the direction of the last order.
+ * @private
+ */
+function withInequalityOrders(orderBy: any[], where: Filter[]) {
+	const orders = [...orderBy];
+	const last = orders[orders.length - 1];
+	const name = last?.field.fieldPath === '__name__' ? orders.pop() : undefined;
+	const ordered = orders.map(order => order.field.fieldPath);
+
+	const implicit = [...new Set(inequalityFields(where))]
+		.filter(fieldPath => !ordered.includes(fieldPath))
+		.sort()
+		.map(fieldPath => ({
+			field: { fieldPath },
+			direction: last?.direction ?? 'ASCENDING'
+		}));
+
+	return [...orders, ...implicit, ...(name ? [name] : [])];
 }
 
 /**
@@ -85,18 +282,40 @@ const encoders = {
 	 * Converts an option from the Query instance into a valid JSON
 	 * object to use with the Firestores REST API.
 	 */
-	select(fieldsArray: string[]) {
-		const fields = fieldsArray.map(fieldPath => ({ fieldPath }));
+	select(fieldsArray: Array<string | FieldPath>) {
+		const fields = fieldsArray.map(fieldPath => ({
+			fieldPath: toFieldPath(fieldPath)
+		}));
 		return fields.length ? { fields } : undefined;
 	},
 
-	/** Converts a Query filter(array with three items), into an encoded filter */
-	encodeFilter([fieldPath, op, value]: FilterOption): any {
+	/**
+	 * Converts a Query filter(array with three items), or a composite
+	 * filter into an encoded filter.
+	 */
+	encodeFilter(filter: Filter): any {
+		if (filter instanceof CompositeFilter) {
+			// A composite filter of a single filter is the same as the filter.
+			if (filter.filters.length === 1)
+				return this.encodeFilter(filter.filters[0]);
+
+			return {
+				compositeFilter: {
+					op: filter.op,
+					filters: filter.filters.map(subFilter => this.encodeFilter(subFilter))
+				}
+			};
+		}
+
+		const [path, op, value] = filter;
+		const fieldPath = toFieldPath(path);
+
 		if (Number.isNaN(value) || value === null) {
+			const unaryOp = Number.isNaN(value) ? 'NAN' : 'NULL';
 			return {
 				unaryFilter: {
 					field: { fieldPath },
-					op: Number.isNaN(value) ? 'IS_NAN' : 'IS_NULL'
+					op: op === '!=' ? `IS_NOT_${unaryOp}` : `IS_${unaryOp}`
 				}
 			};
 		}
@@ -114,20 +333,11 @@ const encoders = {
 	 * Converts an option from the Query instance into a valid JSON
 	 * object to use with the Firestore's REST API.
 	 */
-	where(option: FilterOption[]) {
+	where(option: Filter[]) {
 		if (option.length === 0) return;
 
-		if (option.length === 1) {
-			return this.encodeFilter(option[0]);
-		}
-
-		// If there are more than one filters then this is a composite filter.
-		return {
-			compositeFilter: {
-				op: 'AND',
-				filters: option.map(this.encodeFilter)
-			}
-		};
+		// All the filters of the query have to match.
+		return this.encodeFilter(and(...option));
 	},
 
 	/**
@@ -163,25 +373,62 @@ const encoders = {
 				continue;
 			}
 
-			const value = doc[order.field.fieldPath];
-			value && values.push(encodeValue(value));
+			const value = FieldPath.fromString(order.field.fieldPath).segments.reduce(
+				(value: any, key) => value?.[key],
+				doc
+			);
+			// Skipping the field would move the next values into the wrong orders.
+			if (value === undefined)
+				throw Error(
+					`The document has no value for the orderBy field "${order.field.fieldPath}"`
+				);
+			values.push(encodeValue(value));
 		}
 
-		return {
-			values,
-			before: true
-		};
+		return values;
 	},
 
-	startAt(doc: Document, options: any) {
-		return this.documentToCursor(doc, options);
+	/**
+	 * Encodes a cursor made of a document, or of the values of the orderBy fields.
+	 */
+	encodeCursor({ values, before }: Cursor, options: any) {
+		if (values instanceof Document)
+			return { values: this.documentToCursor(values, options), before };
+
+		if (values.length > options.orderBy.length)
+			throw Error(
+				'A cursor can only have a value for each of the orderBy fields'
+			);
+
+		// The document name is ordered by references, so other values can't be compared to it.
+		values.forEach((value, i) => {
+			if (
+				options.orderBy[i].field.fieldPath === '__name__' &&
+				!(value instanceof Reference)
+			)
+				throw Error(
+					'The cursor value of the document name must be a Reference, order by a field to use other values'
+				);
+		});
+
+		return { values: values.map(value => encodeValue(value)), before };
 	},
 
-	endAt(doc: Document, options: any) {
-		return this.startAt(doc, options);
+	startAt(cursor: Cursor, options: any) {
+		return this.encodeCursor(cursor, options);
+	},
+
+	endAt(cursor: Cursor, options: any) {
+		return this.encodeCursor(cursor, options);
 	}
 };
 
+/**
+ * The options that set the start or the end of a query.
+ * @private
+ */
+const cursorOptions = ['startAt', 'startAfter', 'endAt', 'endBefore'];
+
 /** @private */
 const queryOptions = [
 	'select',
@@ -189,7 +436,9 @@ const queryOptions = [
 	'where',
 	'orderBy',
 	'startAt',
+	'startAfter',
 	'endAt',
+	'endBefore',
 	'offset',
 	'limit'
 ];
@@ -221,9 +470,11 @@ export class Query {
 				//
 				// "where" is always an array, because every individual filter
 				// is represented by an array, so check to see if its first child
-				// is also an array. if it is, then it might be a compound value.
+				// is also an array or a composite filter. if it is, then it might be a compound value.
 				if (
-					(option === 'where' && Array.isArray(optionValue[0])) ||
+					(option === 'where' &&
+						(Array.isArray(optionValue[0]) ||
+							optionValue[0] instanceof CompositeFilter)) ||
 					(option === 'orderBy' && Array.isArray(optionValue))
 				) {
 					optionValue.forEach((val: any, i: number) => {
@@ -242,6 +493,17 @@ export class Query {
 				// If the argument is not an array, then just save it directly.
 				// Again, we use try/catch to catch the error and add context to it.
 				try {
+					// Cursors are either a document, or an array of values.
+					if (cursorOptions.includes(option) && Array.isArray(optionValue)) {
+						this[option](...optionValue);
+						continue;
+					}
+					if (
+						cursorOptions.includes(option) &&
+						!(optionValue instanceof Document)
+					)
+						throw Error('Expected a Document instance or an array of values');
+
 					this[option](optionValue);
 				} catch (e) {
 					throw Error(`Invalid argument "${option}": ${e.message}`);
@@ -254,7 +516,7 @@ export class Query {
 		if (!Array.isArray(fields))
 			throw Error('Expected argument to be an array of field paths');
 		fields.forEach((field, i) => {
-			if (typeof field !== 'string')
+			if (typeof field !== 'string' && !(field instanceof FieldPath))
 				throw Error(`Field path at index [${i}] is not a string`);
 			this.options.select.push(field);
 		});
@@ -280,8 +542,15 @@ export class Query {
 		return this;
 	}
 
-	where(fieldPath: QueryOptions['where']) {
-		const filter = Array.isArray(fieldPath) ? fieldPath : arguments;
+	/**
+	 * Adds a filter to the query. Accepts a filter array, the same
+	 * arguments spread, or a composite filter created with `and` or `or`.
+	 */
+	where(fieldPath: Filter | FilterOption[0]) {
+		const filter =
+			Array.isArray(fieldPath) || fieldPath instanceof CompositeFilter
+				? fieldPath
+				: Array.from(arguments);
 		validateFilter(filter);
 		this.options.where.push(filter);
 		return this;
@@ -299,24 +568,51 @@ export class Query {
 		let { field: fieldPath = order, direction = dir } = order as OrderOption;
 		direction = dirMap[direction] as 'asc' | 'desc';
 
-		if (typeof fieldPath !== 'string')
+		if (typeof fieldPath !== 'string' && !(fieldPath instanceof FieldPath))
 			throw Error('"field" property needs to be a string');
 		if (direction === undefined)
 			throw Error('"direction" property can only be "asc" or "desc"');
 
-		this.options.orderBy.push({ field: { fieldPath }, direction });
+		this.options.orderBy.push({
+			field: { fieldPath: toFieldPath(fieldPath) },
+			direction
+		});
 		return this;
 	}
 
-	startAt(doc: Document) {
-		if (!(doc instanceof Document)) throw Error('Expected a Document instance');
-		this.options.startAt = doc;
+	/**
+	 * Starts the query at a document, or at the given values of the orderBy fields.
+	 * The matching documents are included.
+	 */
+	startAt(...values: any[]) {
+		this.options.startAt = toCursor(values, true);
 		return this;
 	}
 
-	endAt(doc: Document) {
-		if (!(doc instanceof Document)) throw Error('Expected a Document instance');
-		this.options.endAt = doc;
+	/**
+	 * Starts the query after a document, or after the given values of the orderBy fields.
+	 * The matching documents are excluded.
+	 */
+	startAfter(...values: any[]) {
+		this.options.startAt = toCursor(values, false);
+		return this;
+	}
+
+	/**
+	 * Ends the query at a document, or at the given values of the orderBy fields.
+	 * The matching documents are included.
+	 */
+	endAt(...values: any[]) {
+		this.options.endAt = toCursor(values, false);
+		return this;
+	}
+
+	/**
+	 * Ends the query before a document, or before the given values of the orderBy fields.
+	 * The matching documents are excluded.
+	 */
+	endBefore(...values: any[]) {
+		this.options.endAt = toCursor(values, true);
 		return this;
 	}
 
@@ -334,19 +630,164 @@ export class Query {
 		return this;
 	}
 
-	async run() {
+	async run({ signal, timeout, transaction }: ReadOptions = {}) {
 		let results = await this.parent.db.fetch(
 			this.parent.endpoint + ':runQuery',
 			{
 				method: 'POST',
-				body: JSON.stringify(this)
-			}
+				body: JSON.stringify(
+					transaction ? { ...this.toJSON(), transaction } : this
+				)
+			},
+			{ idempotent: true, signal, timeout }
 		);
 
 		results[0]?.document || results.splice(0, 1);
-		return results.map(
-			(result: any) => new Document(result.document, this.parent.db)
+		return results.map((result: any) => {
+			const doc = new Document(result.document, this.parent.db);
+			// Partial documents are never cached.
+			this.options.select.length || this.parent.db.cache?.set(doc);
+			return doc;
+		});
+	}
+
+	/**
+	 * Runs aggregations over the documents that match the query, without downloading them.
+	 * Resolves with an object that has the result of each aggregation under its key.
+	 */
+	async aggregate<T extends { [alias: string]: Aggregation }>(
+		aggregations: T,
+		{ signal, timeout, transaction }: ReadOptions = {}
+	): Promise<{ [alias in keyof T]: number | null }> {
+		const aliases = Object.keys(aggregations);
+		if (!aliases.length) throw Error('Expected at least one aggregation');
+
+		aliases.forEach(alias => {
+			const aggregation = aggregations[alias];
+			if (!(aggregation instanceof Aggregation))
+				throw Error(
+					`Expected "${alias}" to be an aggregation created with count, sum or average`
+				);
+		});
+
+		const results = await this.parent.db.fetch(
+			this.parent.endpoint + ':runAggregationQuery',
+			{
+				method: 'POST',
+				body: JSON.stringify({
+					structuredAggregationQuery: {
+						...this.toJSON(),
+						aggregations: aliases.map(alias => ({
+							alias,
+							...aggregations[alias].toJSON()
+						}))
+					},
+					transaction
+				})
+			},
+			{ idempotent: true, signal, timeout }
+		);
+
+		const { aggregateFields = {} } =
+			results.find((result: any) => result.result)?.result || {};
+		const decoded: any = {};
+
+		for (const alias of aliases)
+			decoded[alias] = aggregateFields[alias]
+				? decodeValue(aggregateFields[alias], this.parent.db)
+				: null;
+
+		return decoded;
+	}
+
+	/** Returns the amount of documents that match the query */
+	async count(options: ReadOptions = {}) {
+		const { count: result } = await this.aggregate({ count: count() }, options);
+		return result as number;
+	}
+
+	/** Returns the sum of the numeric values of a field, in the documents that match the query */
+	async sum(field: string | FieldPath, options: ReadOptions = {}) {
+		const { sum: result } = await this.aggregate({ sum: sum(field) }, options);
+		return result as number;
+	}
+
+	/**
+	 * Returns the average of the numeric values of a field, in the documents that match the query.
+	 * Resolves with null when there are no numeric values.
+	 */
+	async average(field: string | FieldPath, options: ReadOptions = {}) {
+		const { average: result } = await this.aggregate(
+			{ average: average(field) },
+			options
 		);
+		return result;
+	}
+
+	/**
+	 * Runs the query in pages, and yields the documents one by one.
+	 * A page is only fetched once the documents of the previous one were consumed,
+	 * and the pages continue after the last document of the previous page.
+	 * When the query selects fields, the orderBy fields are selected too.
+	 */
+	async *stream({ pageSize = 100, ...options }: StreamOptions = {}) {
+		if (!isPositiveInteger(pageSize) || !pageSize)
+			throw Error(
+				'Expected the pageSize to be an integer that is greater than 0'
+			);
+
+		const { limit, select, where } = this.options;
+		const orderBy = withInequalityOrders(this.options.orderBy, where);
+		const page = new Query(this.parent);
+		Object.assign(page.options, this.options, { orderBy });
+
+		// The next pages start after the values of the orderBy fields in the last
+		// document, so a projection has to include them.
+		if (select.length) {
+			const selected = select.map(toFieldPath);
+			page.options.select = [
+				...select,
+				...orderBy
+					.map((order: any) => order.field.fieldPath)
+					.filter(
+						(path: string) => path !== '__name__' && !selected.includes(path)
+					)
+			];
+		}
+
+		let count = 0;
+		while (true) {
+			const size =
+				limit === undefined ? pageSize : Math.min(pageSize, limit - count);
+			page.options.limit = size;
+
+			const docs = await page.run(options);
+			count += docs.length;
+			yield* docs;
+
+			if (docs.length < size || count === limit) return;
+
+			// The offset and the start were already applied by the first page.
+			delete page.options.offset;
+			page.startAfter(docs[docs.length - 1]);
+		}
+	}
+
+	/**
+	 * Polls the query, and calls the callback every time its results change.
+	 * Returns a function that stops listening.
+	 */
+	onSnapshot(callback: SnapshotCallback, options: SnapshotOptions = {}) {
+		return poll(() => this.run(), callback, options);
+	}
+
+	/**
+	 * Listens to the query in realtime, and calls the callback every time its results change.
+	 * See `Database.listen` for how the changes are streamed.
+	 * Returns a function that stops listening.
+	 */
+	listen(callback: SnapshotCallback, options: ListenOptions = {}) {
+		return this.parent.db.listen(this, callback, options);
 	}
 
 	toJSON() {
@@ -1,4 +1,7 @@
-import { Database } from './Database';
+import { Database, RequestOptions } from './Database';
+import { CachePolicy } from './Cache';
+import { poll, SnapshotCallback, SnapshotOptions } from './Snapshot';
+import { ListenOptions } from './Listener';
 import { Query, QueryOptions } from './Query';
 import { Document } from './Document';
 import { List } from './List';
@@ -9,16 +12,28 @@ import {
 	restrictTo,
 	compileOptions
 } from './utils';
+import { FieldPath } from './FieldPath';
 
-export interface CrudOptions {
+export interface CrudOptions extends RequestOptions {
 	[key: string]: any;
 	/**
 	 * When set to true, the update will only patch the given
 	 * object properties instead of overwriting the whole document.
+	 * When set to an array of field paths, only those fields are patched.
 	 */
-	updateMask?: boolean;
+	updateMask?: boolean | Array<string | FieldPath>;
+	/**
+	 * Used with `set`. When set to true, the fields of the data are merged
+	 * into the document, and the document is created if it doesn't exist.
+	 */
+	merge?: boolean;
+	/**
+	 * Used with `set`. Only the listed fields are merged into the document.
+	 * Every listed field must have a value in the data.
+	 */
+	mergeFields?: Array<string | FieldPath>;
 	/** An array of the key paths to return back after the operation */
-	mask?: string[];
+	mask?: Array<string | FieldPath>;
 	/**
 	 * When set to true, the target document must exist.
 	 * When set to false, the target document must not exist.
@@ -30,6 +45,8 @@ export interface CrudOptions {
 	 * A timestamp in RFC3339 UTC "Zulu" format, accurate to nanoseconds.
 	 */
 	updateTime?: string;
+	/** How to use the cache of the database when reading, if it has one */
+	policy?: CachePolicy;
 }
 
 export class Reference {
@@ -94,36 +111,81 @@ export class Reference {
 		obj: object,
 		options: CrudOptions = {}
 	) {
+		const { signal, timeout } = options;
+
+		// Only writes without request options can share a commit.
+		if (this.db.batchWrites && signal === undefined && timeout === undefined)
+			return this.db.queueWrite(tx => tx[method](this, obj, options));
+
 		const tx = this.db.transaction();
-		const res = tx[method](this, obj, options);
-		return await tx.commit().then(() => res);
+		tx[method](this, obj, options);
+		const { writeResults } = await tx.commit({ signal, timeout });
+		return writeResults[0];
 	}
 
 	/** Returns all documents in the collection */
 	async list(options: any = {}) {
 		restrictTo('col', this);
+		const { signal, timeout } = options;
 		return new List(
 			await this.db.fetch(
-				this.endpoint + objectToQuery(compileOptions(options))
+				this.endpoint + objectToQuery(compileOptions(options)),
+				undefined,
+				{ signal, timeout }
 			),
 			this,
 			options
 		);
 	}
 
+	/**
+	 * Lists the documents in the collection page by page, and yields them one by one.
+	 * A page is only fetched once the documents of the previous one were consumed.
+	 */
+	async *stream(options: any = {}) {
+		let list = await this.list({ ...options });
+		yield* list;
+
+		while (list.hasNextPage) {
+			list = await list.getNextPage();
+			yield* list;
+		}
+	}
+
 	/** Returns the document of this reference. */
 	async get(options: CrudOptions = {}) {
 		restrictTo('doc', this);
+		const { policy, ...requestOptions } = options;
+		const { signal, timeout, mask } = requestOptions;
+		const { cache } = this.db;
 
-		return new Document(
-			await this.db.fetch(
-				this.endpoint + objectToQuery(compileOptions(options))
-			),
-			this.db
-		);
+		const load = async () => {
+			// Only requests without options can share a batch.
+			if (
+				this.db.batchReads &&
+				Object.values(requestOptions).every(value => value === undefined)
+			)
+				return this.db.queueGet(this);
+
+			return new Document(
+				await this.db.fetch(
+					this.endpoint + objectToQuery(compileOptions(requestOptions)),
+					undefined,
+					{ signal, timeout }
+				),
+				this.db
+			);
+		};
+
+		// Partial documents are never cached.
+		if (!cache || mask) return load();
+		return cache.read(this.name, policy || cache.policy, load);
 	}
 
-	/** Create a new document with a randomly generated id */
+	/**
+	 * Create a new document with a randomly generated id.
+	 * The result includes the reference to the new document.
+	 */
 	async add(obj: object, options: CrudOptions = {}) {
 		restrictTo('col', this);
 		return this.transact('add', obj, options);
@@ -144,7 +206,39 @@ export class Reference {
 	/** Deletes the referenced document from the database. */
 	async delete(options: CrudOptions = {}) {
 		restrictTo('doc', this);
-		return this.transact('delete', options);
+		await this.transact('delete', options, options);
+	}
+
+	/**
+	 * Polls the document, and calls the callback every time it changes.
+	 * The callback receives an array with the document, or an empty array if it doesn't exist.
+	 * Returns a function that stops listening.
+	 */
+	onSnapshot(callback: SnapshotCallback, options: SnapshotOptions = {}) {
+		restrictTo('doc', this);
+
+		return poll(
+			() =>
+				this.get({ policy: 'network-first' }).then(
+					doc => [doc],
+					e => {
+						if (e.code === 'not-found') return [];
+						throw e;
+					}
+				),
+			callback,
+			options
+		);
+	}
+
+	/**
+	 * Listens to the document in realtime, and calls the callback every time it changes.
+	 * The callback receives an array with the document, or an empty array if it doesn't exist.
+	 * See `Database.listen` for how the changes are streamed.
+	 * Returns a function that stops listening.
+	 */
+	listen(callback: SnapshotCallback, options: ListenOptions = {}) {
+		return this.db.listen(this, callback, options);
 	}
 
 	/** Queries the child documents/collections of this reference. */
@@ -0,0 +1,132 @@
+import { Document } from './Document';
+
+export interface SnapshotChanges {
+	/** Documents that didn't exist in the previous snapshot */
+	added: Document[];
+	/** Documents that were updated since the previous snapshot */
+	modified: Document[];
+	/** Documents of the previous snapshot that don't exist anymore */
+	removed: Document[];
+}
+
+export interface SnapshotCallback {
+	(docs: Document[], changes: SnapshotChanges): void;
+}
+
+export interface SnapshotOptions {
+	/** The time in milliseconds between each poll, defaults to 5 seconds */
+	interval?: number;
+	/**
+	 * Called when a poll fails, the polling continues afterwards.
+	 * Without it the errors are ignored.
+	 */
+	onError?(error: Error): void;
+}
+
+/**
+ * Returns the changes between two lists of documents,
+ * compared by the `updateTime` of each document.
+ * @private
+ */
+export function diff(previous: Map<string, Document>, docs: Document[]) {
+	const changes: SnapshotChanges = { added: [], modified: [], removed: [] };
+	const current = new Set<string>();
+
+	for (const doc of docs) {
+		const { name, updateTime } = doc.__meta__;
+		const old = previous.get(name);
+		current.add(name);
+
+		if (!old) changes.added.push(doc);
+		else if (old.__meta__.updateTime !== updateTime) changes.modified.push(doc);
+	}
+
+	for (const [name, doc] of previous)
+		current.has(name) || changes.removed.push(doc);
+
+	return changes;
+}
+
+/**
+ * Returns true if the page is in the background.
+ * @private
+ */
+function isHidden() {
+	return (
+		typeof document !== 'undefined' && document.visibilityState === 'hidden'
+	);
+}
+
+/**
+ * Calls `load` on an interval, and calls the callback with the documents
+ * every time they change. The first snapshot is always reported.
+ * Polling pauses while the page is hidden.
+ * Returns a function that stops the polling.
+ * @private
+ */
+export function poll(
+	load: () => Promise<Document[]>,
+	callback: SnapshotCallback,
+	{ interval = 5000, onError }: SnapshotOptions = {}
+) {
+	if (typeof callback !== 'function')
+		throw Error('Expected the callback to be a function');
+
+	let previous: Map<string, Document> | undefined;
+	let timer: ReturnType<typeof setTimeout> | undefined;
+	let loading = false;
+	let stopped = false;
+
+	const schedule = () => {
+		if (!stopped && !loading && !timer && !isHidden())
+			timer = setTimeout(tick, interval);
+	};
+
+	const tick = async () => {
+		timer = undefined;
+		loading = true;
+
+		try {
+			const docs = await load();
+			if (stopped) return;
+
+			const first = !previous;
+			const changes = diff(previous || new Map(), docs);
+			const { added, modified, removed } = changes;
+
+			previous = new Map(docs.map(doc => [doc.__meta__.name, doc]));
+			if (first || added.length || modified.length || removed.length)
+				callback(docs, changes);
+		} catch (e) {
+			if (stopped) return;
+			onError && onError(e);
+		} finally {
+			loading = false;
+		}
+
+		schedule();
+	};
+
+	const onVisibilityChange = () => {
+		if (isHidden()) {
+			timer && clearTimeout(timer);
+			timer = undefined;
+			return;
+		}
+
+		// Poll right away, the data might have changed while hidden.
+		if (!loading && !timer) tick();
+	};
+
+	typeof document !== 'undefined' &&
+		document.addEventListener('visibilitychange', onVisibilityChange);
+
+	if (!isHidden()) tick();
+
+	return () => {
+		stopped = true;
+		timer && clearTimeout(timer);
+		typeof document !== 'undefined' &&
+			document.removeEventListener('visibilitychange', onVisibilityChange);
+	};
+}
@@ -1,21 +1,92 @@
 import {
 	compileOptions,
+	decodeValue,
 	encode,
+	expandFieldPaths,
 	fid,
 	getPathFromRef,
+	pickFieldPaths,
 	Ref,
 	restrictTo
 } from './utils';
 import { Document, FirebaseDocument } from './Document';
 import { Reference, CrudOptions } from './Reference';
-import { Database } from './Database';
+import { Database, RequestOptions } from './Database';
+import { Query } from './Query';
+import { toFieldPath } from './FieldPath';
 import Transform from './Transform';
+import { isOfflineError } from './FirestoreError';
+
+export interface TransactionOptions {
+	/**
+	 * Read only transactions can't write, but they don't
+	 * lock the documents and never fail because of contention.
+	 */
+	readOnly?: boolean;
+	/** Reads the documents as they were at this time. Only for read only transactions */
+	readTime?: string;
+	/** The ID of a transaction that failed, when retrying it */
+	retryTransaction?: string;
+}
+
+export interface WriteResult {
+	/** The reference to the document that was written */
+	ref: Reference;
+	/** The time the commit was applied, missing when the write was queued offline */
+	commitTime?: string;
+	/** The update time of the document, missing for deletes of documents that didn't exist */
+	updateTime?: string;
+	/** The values of the fields after the transforms were applied, by their field path */
+	transformResults: { [fieldPath: string]: any };
+}
+
+export interface CommitResult {
+	/** The time the commit was applied, missing when the writes were queued offline */
+	commitTime?: string;
+	/** The result of each document write, in the order they were added */
+	writeResults: WriteResult[];
+}
 
 export class Transaction {
 	writes: any[] = [];
 	preconditions: any = {};
+	/** The ID of the transaction on the server, once it began */
+	id?: string;
+	private beginning?: Promise<string>;
+
+	constructor(private db: Database, private options: TransactionOptions = {}) {
+		if (options.readTime && !options.readOnly)
+			throw Error('A readTime can only be used in read only transactions');
+	}
+
+	/**
+	 * Begins the transaction on the server, and resolves with its ID.
+	 * Called by the first read, so transactions that only write
+	 * are committed without beginning a transaction first.
+	 */
+	begin({ signal, timeout }: RequestOptions = {}) {
+		if (this.beginning) return this.beginning;
 
-	constructor(private db: Database) {}
+		const { readOnly, readTime, retryTransaction } = this.options;
+		const options = readOnly
+			? { readOnly: readTime ? { readTime } : {} }
+			: { readWrite: retryTransaction ? { retryTransaction } : {} };
+
+		this.beginning = this.db
+			.fetch(
+				this.db.endpoint + ':beginTransaction',
+				{
+					method: 'POST',
+					body: JSON.stringify({ options })
+				},
+				{ idempotent: true, signal, timeout }
+			)
+			.then(({ transaction }: any) => (this.id = transaction));
+
+		// Allow trying again if it failed.
+		this.beginning.catch(() => (this.beginning = undefined));
+		return this.beginning;
+	}
 
 	/**
 	 * Creates a write instruction and adds it into the
@@ -23,6 +94,8 @@ export class Transaction {
 	 * @private
 	 */
 	private write(ref: Ref, data: any, options: CrudOptions = {}) {
+		if (this.options.readOnly)
+			throw Error("Read only transactions can't write");
 		if (typeof data !== 'object') throw Error('The data argument is missing');
 
 		const transforms: Transform[] = [];
@@ -33,6 +106,35 @@ export class Transaction {
 			ref instanceof Document ? ref : data,
 			transforms
 		) as FirebaseDocument;
+		// Deletes are sent as part of the update mask, not as transforms.
+		const deletes = transforms.filter(transform => transform.name === 'delete');
+		let fieldTransforms = transforms.filter(
+			transform => transform.name !== 'delete'
+		);
+		if (deletes.length && !options.updateMask)
+			throw Error(
+				'Fields can only be deleted when updating or merging a document'
+			);
+
+		// When the fields to write are listed, only their transforms are applied.
+		const { updateMask } = options;
+		if (Array.isArray(updateMask)) {
+			const paths = updateMask.map(toFieldPath);
+			fieldTransforms = fieldTransforms.filter(({ fieldPath = '' }) =>
+				paths.some(
+					path => fieldPath === path || fieldPath.startsWith(path + '.')
+				)
+			);
+
+			// A transformed field isn't in the fields, so masking it would clear it
+			// before the transform is applied. Deleted fields stay in the mask.
+			const transformed = fieldTransforms.map(({ fieldPath }) => fieldPath);
+			options = {
+				...options,
+				updateMask: paths.filter(path => !transformed.includes(path))
+			};
+		}
+
 		// Compile the options object into Firebase API arguments.
 		options = compileOptions(options, data);
 		// Check if there is any precondition created by getting a document
@@ -41,20 +143,12 @@ export class Transaction {
 		// Set the document's name
 		doc.name = name;
 
-		// Add the static properties.
-		this.writes.push({
-			update: doc,
-			...options
-		});
+		const write: any = { update: doc, ...options };
+		// The transforms are applied after the fields were written,
+		// so transform-only updates are sent with an empty update mask.
+		if (fieldTransforms.length) write.updateTransforms = fieldTransforms;
 
-		// Add the Transforms if available.
-		transforms.length &&
-			this.writes.push({
-				transform: {
-					document: doc.name,
-					fieldTransforms: transforms
-				}
-			});
+		this.writes.push(write);
 	}
 
 	/**
@@ -67,9 +161,13 @@ export class Transaction {
 	 * the transaction. However, if a document didn't exist, then we use that
 	 * as a precondition, telling the database that if it was created concurrently
 	 * then it should abort the operation.
+	 *
+	 * The documents are read within the server transaction, which locks
+	 * them until the transaction is committed or rolled back.
 	 */
-	async get(refs: Array<Reference | string>) {
-		const docs = await this.db.batchGet(refs);
+	async get(refs: Array<Reference | string>, options: RequestOptions = {}) {
+		const transaction = await this.begin(options);
+		const docs = await this.db.batchGet(refs, { ...options, transaction });
 
 		docs.forEach((doc: any) => {
 			const { name, updateTime } = doc.__meta__ || { name: doc.__missing__ };
@@ -81,19 +179,48 @@ export class Transaction {
 		return docs;
 	}
 
+	/** Runs a query within the transaction. */
+	async run(query: Query, options: RequestOptions = {}) {
+		const transaction = await this.begin(options);
+		return query.run({ ...options, transaction });
+	}
+
 	add(ref: string | Reference, data: any, options: CrudOptions = {}) {
-		const path = `${restrictTo('col', ref)}/${fid()}`;
+		const path = `${restrictTo('col', ref)}/${fid(this.db.randomBytes)}`;
 		this.write(path, data, { exists: false, ...options });
 		return this.db.ref(path);
 	}
 
+	/**
+	 * Writes a document, and overwrites it if it exists.
+	 * With the `merge` option, only the fields in the data are written, and
+	 * with the `mergeFields` option only the listed fields are written.
+	 * Each of the listed fields must have a value in the data.
+	 */
 	set(ref: Ref, data: any, options: CrudOptions = {}) {
 		restrictTo('doc', ref);
-		this.write(ref, data, options);
+		const { merge, mergeFields, ...rest } = options;
+
+		if (merge && mergeFields)
+			throw Error('The merge and mergeFields options are mutually exclusive');
+		if (mergeFields && !Array.isArray(mergeFields))
+			throw Error('The mergeFields option must be an array of field paths');
+
+		// Only the listed fields are written, and all of them need a value.
+		if (mergeFields) data = pickFieldPaths(data, mergeFields);
+
+		// Merging is an update without the precondition that the document exists.
+		const updateMask = merge || mergeFields;
+		this.write(ref, data, updateMask ? { ...rest, updateMask } : rest);
 	}
 
 	update(ref: Ref, data: any, options: CrudOptions = {}) {
 		restrictTo('doc', ref);
+
+		// The keys of updates are field paths, so `a.b` updates the field `b` of the map `a`.
+		if (data && typeof data === 'object' && !(data instanceof Document))
+			data = expandFieldPaths(data);
+
 		this.write(ref, data, { exists: true, updateMask: true, ...options });
 	}
 
@@ -101,6 +228,8 @@ export class Transaction {
 	 * Adds a delete operation to the transaction.
 	 */
 	delete(ref: Ref, options: CrudOptions = {}) {
+		if (this.options.readOnly)
+			throw Error("Read only transactions can't write");
 		const name = `${this.db.rootPath}/${restrictTo('doc', ref)}`;
 
 		options = compileOptions(options);
@@ -116,15 +245,115 @@ export class Transaction {
 	}
 
 	/**
-	 * Commits the transaction.
+	 * Returns true if committing the writes more than once has the
+	 * same effect as committing them once. Writes with preconditions
+	 * would fail on a second attempt, and increments would be applied twice.
+	 * @private
+	 */
+	private isIdempotent() {
+		return this.writes.every(
+			write =>
+				!write.currentDocument &&
+				!(write.updateTransforms ?? []).some(
+					(transform: Transform) => 'increment' in transform
+				)
+		);
+	}
+
+	/**
+	 * Maps the write results of a commit to the documents they belong to.
+	 * @private
+	 */
+	private results(commitTime?: string, writeResults: any[] = []): CommitResult {
+		return {
+			commitTime,
+			writeResults: this.writes.map((write, i) => {
+				const { updateTime, transformResults = [] } = writeResults[i] || {};
+				const name = write.update?.name ?? write.delete;
+				const result: WriteResult = {
+					ref: this.db.ref(name.slice(this.db.rootPath.length + 1)),
+					commitTime,
+					updateTime,
+					transformResults: {}
+				};
+
+				(write.updateTransforms ?? []).forEach((transform: any, i: number) => {
+					if (transformResults[i])
+						result.transformResults[transform.fieldPath] = decodeValue(
+							transformResults[i],
+							this.db
+						);
+				});
+
+				return result;
+			})
+		};
+	}
+
+	/**
+	 * Commits the transaction, and resolves with the results of the writes.
 	 * Will throw if the transaction failed.
+	 *
+	 * When the database has an offline queue, the writes are queued instead
+	 * if the network is down or if there are writes waiting in the queue.
+	 * Writes of a server transaction are never queued, because the
+	 * transaction would expire before they are committed.
+	 * The results of queued writes don't have a commit or update time.
 	 */
-	async commit() {
+	async commit({ signal, timeout }: RequestOptions = {}) {
 		this.preconditions = {};
+		const { id: transaction } = this;
+		const offline = transaction ? undefined : this.db.offline;
+
+		try {
+			// Wait for the queued writes, in order to keep the order of writes.
+			if (offline && (await offline.pending()).length) {
+				await offline.enqueue(this.writes);
+				// Failures are kept in the queue, and replayed when back online.
+				offline.replay().catch(() => {});
+				return this.results();
+			}
+
+			const { commitTime, writeResults } = await this.db.fetch(
+				this.db.endpoint + ':commit',
+				{
+					method: 'POST',
+					body: JSON.stringify({ writes: this.writes, transaction })
+				},
+				// A transaction can only be committed once.
+				{ idempotent: !transaction && this.isIdempotent(), signal, timeout }
+			);
+
+			return this.results(commitTime, writeResults);
+		} catch (e) {
+			if (!offline || !isOfflineError(e)) throw e;
+			await offline.enqueue(this.writes);
+			return this.results();
+		} finally {
+			// Even when the request failed, the writes might have been applied.
+			const { cache } = this.db;
+			cache &&
+				this.writes.forEach(write =>
+					cache.delete(write.update?.name ?? write.delete)
+				);
+		}
+	}
+
+	/**
+	 * Rolls back the transaction on the server, and releases the locks
+	 * of the documents that were read. Does nothing if it didn't begin.
+	 */
+	async rollback({ signal, timeout }: RequestOptions = {}) {
+		const transaction = await this.beginning?.catch(() => undefined);
+		if (!transaction) return;
 
-		return void (await this.db.fetch(this.db.endpoint + ':commit', {
-			method: 'POST',
-			body: JSON.stringify({ writes: this.writes })
-		}));
+		await this.db.fetch(
+			this.db.endpoint + ':rollback',
+			{
+				method: 'POST',
+				body: JSON.stringify({ transaction })
+			},
+			{ signal, timeout }
+		);
 	}
 }
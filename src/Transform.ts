@@ -43,7 +43,9 @@ type TransformName =
 	 * the field. If the field is not an array, or if the field does not yet exist,
 	 * it is set to the empty array.
 	 */
-	| 'removeFromArray';
+	| 'removeFromArray'
+	/** Removes the field from the document. Can only be used when updating */
+	| 'delete';
 
 /**
  * Represents a value that is the result of an operation
@@ -59,6 +61,12 @@ export default class Transform {
 	 * for example when using `increment` the value will be the number to increment by.
 	 */
 	constructor(name: TransformName, value?: number | any[]) {
+		// Keep the name out of the JSON, it isn't part of the field transform.
+		Object.defineProperty(this, 'name', { value: name });
+
+		// Deletes aren't sent as transforms, their field is only added to the update mask.
+		if (name === 'delete') return;
+
 		if (!(name in transformsMap))
 			throw Error(`Invalid transform name: "${name}"`);
 		const [transformName, validator] = transformsMap[name];
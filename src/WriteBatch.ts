@@ -0,0 +1,139 @@
+import { Database, RequestOptions, maxWrites } from './Database';
+import { Transaction, WriteResult } from './Transaction';
+import { Reference, CrudOptions } from './Reference';
+import { Ref } from './utils';
+
+/**
+ * The max size in bytes of a commit request.
+ * @private
+ */
+export const maxBytes = 10 * 1024 * 1024;
+
+/**
+ * Returns the size of a string in bytes, when encoded as UTF-8.
+ * @private
+ */
+function byteLength(str: string) {
+	let bytes = 0;
+
+	for (let i = 0; i < str.length; i++) {
+		const code = str.charCodeAt(i);
+		if (code < 0x80) bytes += 1;
+		else if (code < 0x800) bytes += 2;
+		// A surrogate pair is a single character of 4 bytes.
+		else if (code >= 0xd800 && code < 0xdc00) (bytes += 4), i++;
+		else bytes += 3;
+	}
+
+	return bytes;
+}
+
+/**
+ * Thrown when a chunk of a WriteBatch failed to commit.
+ * The chunks before it were committed, and the ones after it weren't.
+ */
+export class WriteBatchError extends Error {
+	name = 'WriteBatchError';
+	/** The code of the original error, if it had one */
+	code?: string;
+
+	constructor(
+		/** The index of the chunk that failed */
+		public chunk: number,
+		/** The amount of chunks in the batch */
+		public chunks: number,
+		/** The error that the chunk failed with */
+		public error: Error
+	) {
+		super(`Chunk ${chunk + 1} of ${chunks} failed: ${error.message}`);
+		this.code = (error as any).code;
+	}
+}
+
+/**
+ * A batch of writes without reads or preconditions, meant for writing
+ * a lot of documents. The writes are split into as many commits as needed
+ * in order to stay within the limits of Firestore, so unlike a Transaction
+ * a WriteBatch isn't atomic when it has more than one chunk.
+ */
+export class WriteBatch {
+	/** The transactions that will be committed, in order */
+	chunks: Transaction[] = [];
+	/** The size of the writes in the last chunk */
+	private bytes = 0;
+
+	constructor(private db: Database) {}
+
+	/** The writes of all the chunks */
+	get writes() {
+		return this.chunks.reduce(
+			(writes, tx) => writes.concat(tx.writes),
+			[] as any[]
+		);
+	}
+
+	/**
+	 * Adds writes to the last chunk, and moves them into a new chunk
+	 * if the last one exceeded the limits.
+	 * @private
+	 */
+	private write<T>(write: (tx: Transaction) => T) {
+		let tx = this.chunks[this.chunks.length - 1];
+		if (!tx) this.chunks.push((tx = this.db.transaction()));
+
+		const start = tx.writes.length;
+		const result = write(tx);
+		const bytes = byteLength(JSON.stringify(tx.writes.slice(start)));
+
+		if (
+			start > 0 &&
+			(tx.writes.length > maxWrites || this.bytes + bytes > maxBytes)
+		) {
+			const next = this.db.transaction();
+			next.writes = tx.writes.splice(start);
+			this.chunks.push(next);
+			this.bytes = 0;
+		}
+
+		this.bytes += bytes;
+		return result;
+	}
+
+	add(ref: string | Reference, data: any, options: CrudOptions = {}) {
+		return this.write(tx => tx.add(ref, data, options));
+	}
+
+	set(ref: Ref, data: any, options: CrudOptions = {}) {
+		this.write(tx => tx.set(ref, data, options));
+	}
+
+	update(ref: Ref, data: any, options: CrudOptions = {}) {
+		this.write(tx => tx.update(ref, data, options));
+	}
+
+	delete(ref: Ref, options: CrudOptions = {}) {
+		this.write(tx => tx.delete(ref, options));
+	}
+
+	/**
+	 * Commits the chunks one after the other, in order to keep the order
+	 * of the writes. Throws a WriteBatchError if a chunk failed, and
+	 * stops without committing the chunks after it.
+	 * Resolves with the results of the writes of all the chunks.
+	 */
+	async commit(options: RequestOptions = {}) {
+		const { chunks } = this;
+		const results: WriteResult[] = [];
+
+		for (let i = 0; i < chunks.length; i++) {
+			try {
+				const { writeResults } = await chunks[i].commit(options);
+				results.push(...writeResults);
+			} catch (e) {
+				throw new WriteBatchError(i, chunks.length, e);
+			}
+		}
+
+		return results;
+	}
+}
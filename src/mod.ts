@@ -2,7 +2,33 @@ import { Database } from './Database';
 import { Reference } from './Reference';
 import { Document } from './Document';
 import { Transaction } from './Transaction';
-import { Query } from './Query';
+import { WriteBatch, WriteBatchError } from './WriteBatch';
+import { BulkWriter } from './BulkWriter';
+import { Query, and, or, count, sum, average } from './Query';
 import GeoPoint from './GeoPoint';
+import Transform from './Transform';
+import { FieldPath } from './FieldPath';
+import { FirestoreError, AbortError } from './FirestoreError';
+import { MemoryStorage } from './OfflineQueue';
 
-export { Database, GeoPoint, Transaction, Reference, Document, Query };
+export {
+	Database,
+	GeoPoint,
+	Transform,
+	FieldPath,
+	Transaction,
+	WriteBatch,
+	WriteBatchError,
+	BulkWriter,
+	Reference,
+	Document,
+	Query,
+	and,
+	or,
+	count,
+	sum,
+	average,
+	FirestoreError,
+	AbortError,
+	MemoryStorage
+};
@@ -2,8 +2,9 @@ import { Reference, CrudOptions } from './Reference';
 import GeoPoint from './GeoPoint';
 import Transform from './Transform';
 import { FirebaseDocument, FirebaseMap } from './Document';
-import { Database } from './Database';
+import { Database, RandomBytes } from './Database';
 import { Document } from './Document';
+import { FieldPath, toFieldPath } from './FieldPath';
 
 /**
  * Used for generating random fids.
@@ -124,6 +125,82 @@ export function objectToQuery(obj: any = {}, parentProp?: string): string {
 	return (!parentProp && params.length ? '?' : '') + params.join('&');
 }
 
+/**
+ * Appends a field name to a field path, and quotes it if needed.
+ * @private
+ */
+function joinPath(parentPath: string | undefined, key: string) {
+	const path = new FieldPath(key).toString();
+	return parentPath ? `${parentPath}.${path}` : path;
+}
+
+/**
+ * Converts the keys of an update into nested maps, because they are field
+ * paths. For example `{ 'a.b': 1 }` becomes `{ a: { b: 1 } }`.
+ * Throws if a field is set by more than one key.
+ * @private
+ */
+export function expandFieldPaths(object: any) {
+	const expanded: any = {};
+	// The maps created here, as opposed to the maps that are values.
+	const created = new Set<any>([expanded]);
+
+	for (const key of Object.keys(object)) {
+		const segments = FieldPath.fromString(key).segments;
+		const last = segments.pop() as string;
+		let map = expanded;
+
+		for (const segment of segments) {
+			if (!(segment in map)) created.add((map[segment] = {}));
+			if (!created.has(map[segment]))
+				throw Error(`The field path "${key}" conflicts with another field`);
+			map = map[segment];
+		}
+
+		if (last in map)
+			throw Error(`The field path "${key}" conflicts with another field`);
+		map[last] = object[key];
+	}
+
+	return expanded;
+}
+
+/**
+ * Returns a copy of the object with only the fields at the given paths.
+ * Throws if the object has no value for one of the paths.
+ * @private
+ */
+export function pickFieldPaths(object: any, paths: Array<string | FieldPath>) {
+	const picked: any = {};
+	// Only the object itself and the maps in it are traversed, not other values.
+	const isMap = (value: any) =>
+		value === object ||
+		(value !== null &&
+			typeof value === 'object' &&
+			Object.getPrototypeOf(value) === Object.prototype);
+
+	for (const path of paths) {
+		const fieldPath =
+			path instanceof FieldPath ? path : FieldPath.fromString(path);
+		const segments = [...fieldPath.segments];
+		const last = segments.pop() as string;
+		let source = object;
+		let target = picked;
+
+		for (const segment of segments) {
+			source = isMap(source) ? source[segment] : undefined;
+			if (!isMap(target[segment])) target[segment] = {};
+			target = target[segment];
+		}
+
+		if (!isMap(source) || source[last] === undefined)
+			throw Error(`Input data is missing for field "${fieldPath}"`);
+		target[last] = source[last];
+	}
+
+	return picked;
+}
+
 /**
  * Returns an array of keyPaths of an object but skips over array's values
  * @private
@@ -132,9 +209,13 @@ export function getKeyPaths(object: any, parentPath?: string): string[] {
 	let mask: string[] = [];
 
 	for (const key in object) {
-		if (object[key] instanceof Transform) continue;
+		const keyPath = joinPath(parentPath, key);
 
-		const keyPath = parentPath ? `${parentPath}.${key}` : key;
+		// Deleted fields are left out of the document, so they have to be in the mask.
+		if (object[key] instanceof Transform) {
+			object[key].name === 'delete' && mask.push(keyPath);
+			continue;
+		}
 
 		// Only check child props if the value is an object,
 		// but not null or arrays.
@@ -172,10 +253,17 @@ export function compileOptions(options: CrudOptions, obj?: any) {
 				break;
 			case 'updateMask':
 				if (!obj) break;
-				if (value) compiled.updateMask = { fieldPaths: getKeyPaths(obj) };
+				if (Array.isArray(value))
+					compiled.updateMask = { fieldPaths: value.map(toFieldPath) };
+				else if (value) compiled.updateMask = { fieldPaths: getKeyPaths(obj) };
 				break;
 			case 'mask':
-				compiled.mask = { fieldPaths: value };
+				compiled.mask = { fieldPaths: value.map(toFieldPath) };
+				break;
+			// Request options are handled by Database.fetch.
+			case 'signal':
+			case 'timeout':
+			case 'policy':
 				break;
 			default:
 				compiled[key] = value;
@@ -189,7 +277,7 @@ export function compileOptions(options: CrudOptions, obj?: any) {
  * Decodes a Firebase Value into a JS one
  * @private
  */
-function decodeValue(value: any, db: Database) {
+export function decodeValue(value: any, db: Database) {
 	// Get the value type.
 	const type = Object.keys(value)[0];
 	// Replace the firebase raw value, with actual value inside of it.
@@ -309,7 +397,7 @@ export function encode(
 	for (const key of keys) {
 		if (object[key] === undefined) continue;
 		const value = object[key];
-		const path = parentPath ? `${parentPath}.${key}` : key;
+		const path = joinPath(parentPath, key);
 
 		// If this is a transform then add it to the transforms
 		// list and skip its parsing. but only if a transforms array
@@ -330,8 +418,8 @@ export function encode(
  * Generates 22 chars long random alphanumerics unique identifiers
  * @private
  */
-export function fid() {
-	const randBytes = crypto.getRandomValues(new Uint8Array(20));
+export function fid(randomBytes: RandomBytes) {
+	const randBytes = randomBytes(20);
 	return Array.from(randBytes)
 		.map(b => validChars[b % 63])
 		.join('');
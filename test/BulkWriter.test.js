@@ -0,0 +1,204 @@
+import { Database } from '../src/Database';
+import { BulkWriter } from '../src/BulkWriter';
+import { Reference } from '../src/Reference';
+import { FirestoreError } from '../src/FirestoreError';
+import Transform from '../src/Transform';
+
+const db = new Database({
+	projectId: 'projectId',
+	retry: { baseDelay: 1 }
+});
+const name = path => `${db.rootPath}/${path}`;
+const ok = { updateTime: '2020-03-17T09:31:07.559644Z' };
+
+function respond(...statuses) {
+	return JSON.stringify({
+		writeResults: statuses.map(status => (status.code ? {} : ok)),
+		status: statuses
+	});
+}
+
+describe('BulkWriter', () => {
+	beforeEach(() => fetch.resetMocks());
+	afterAll(() => fetch.resetMocks());
+
+	test('Database returns a new bulk writer', () => {
+		expect(db.bulkWriter()).toBeInstanceOf(BulkWriter);
+		expect(() => db.bulkWriter({ batchSize: 501 })).toThrow(
+			'The batchSize must be between 1 and 500'
+		);
+		expect(() => db.bulkWriter({ maxConcurrency: 0 })).toThrow(
+			'The maxConcurrency must be a positive integer'
+		);
+		expect(() => db.bulkWriter({ initialRate: -1 })).toThrow(
+			'The initialRate must be a positive number'
+		);
+		expect(() => db.bulkWriter({ maxRate: '100' })).toThrow(
+			'The maxRate must be a positive number'
+		);
+	});
+
+	test('Sends the writes added together in one request', async () => {
+		fetch.mockResponse(respond({}, {}, {}));
+		const writer = db.bulkWriter();
+
+		writer.set('col/one', { count: new Transform('increment', 1) });
+		writer.update('col/two', { one: 'one' });
+		writer.delete('col/three');
+		await writer.flush();
+
+		expect(fetch.mock.calls.length).toEqual(1);
+		expect(fetch.mock.calls[0][0]).toEqual(db.endpoint + ':batchWrite');
+		expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+			writes: [
+				{
+					update: { name: name('col/one'), fields: {} },
+					updateTransforms: [
+						{ fieldPath: 'count', increment: { integerValue: '1' } }
+					]
+				},
+				{
+					update: {
+						name: name('col/two'),
+						fields: { one: { stringValue: 'one' } }
+					},
+					updateMask: { fieldPaths: ['one'] },
+					currentDocument: { exists: true }
+				},
+				{ delete: name('col/three') }
+			]
+		});
+	});
+
+	test('Returns the result of each write', async () => {
+		fetch.mockResponse(
+			respond({}, { code: 5, message: 'No document to update' })
+		);
+		const onProgress = jest.fn();
+		const writer = db.bulkWriter({ onProgress });
+
+		const set = writer.set('col/one', { one: 'one' });
+		const update = writer.update('col/two', { one: 'one' });
+
+		const result = await set;
+		expect(result.ref).toBeInstanceOf(Reference);
+		expect(result.ref.id).toEqual('one');
+		expect(result.updateTime).toEqual(ok.updateTime);
+
+		const error = await update.catch(error => error);
+		expect(error).toBeInstanceOf(FirestoreError);
+		expect(error.code).toEqual('not-found');
+		expect(error.message).toEqual('No document to update');
+
+		expect(onProgress.mock.calls[0][0]).toMatchObject({
+			succeeded: 1,
+			failed: 1,
+			pending: 0
+		});
+	});
+
+	test('Retries only the writes that failed with a transient error', async () => {
+		fetch.mockResponses(respond({}, { code: 10 }), respond({}));
+		const writer = db.bulkWriter();
+
+		writer.set('col/one', { one: 'one' });
+		const retried = writer.set('col/two', { one: 'one' });
+		await writer.flush();
+
+		expect(fetch.mock.calls.length).toEqual(2);
+		expect(JSON.parse(fetch.mock.calls[1][1].body).writes).toEqual([
+			{
+				update: {
+					name: name('col/two'),
+					fields: { one: { stringValue: 'one' } }
+				}
+			}
+		]);
+		await expect(retried).resolves.toHaveProperty('updateTime');
+	});
+
+	test('Gives up after the max attempts', async () => {
+		fetch.mockResponse(respond({ code: 14, message: 'Unavailable' }));
+		const writer = db.bulkWriter({ attempts: 3 });
+
+		const write = writer.set('col/one', { one: 'one' });
+		await writer.flush();
+
+		expect(fetch.mock.calls.length).toEqual(3);
+		await expect(write).rejects.toThrow('Unavailable');
+	});
+
+	test("Doesn't write the same document twice in a request", async () => {
+		fetch.mockResponses(respond({}, {}), respond({}));
+		const writer = db.bulkWriter();
+
+		writer.set('col/one', { one: 1 });
+		writer.set('col/one', { one: 2 });
+		writer.set('col/two', { one: 1 });
+		await writer.flush();
+
+		const requests = fetch.mock.calls.map(call =>
+			JSON.parse(call[1].body).writes.map(write => write.update.name)
+		);
+		expect(requests).toEqual([
+			[name('col/one'), name('col/two')],
+			[name('col/one')]
+		]);
+	});
+
+	test('Caps the amount of requests in flight', async () => {
+		let inFlight = 0;
+		let maxInFlight = 0;
+		fetch.mockResponse(async () => {
+			maxInFlight = Math.max(maxInFlight, ++inFlight);
+			await new Promise(resolve => setTimeout(resolve, 5));
+			inFlight--;
+			return respond({});
+		});
+		const writer = db.bulkWriter({ maxConcurrency: 2, batchSize: 1 });
+
+		for (let i = 0; i < 6; i++) writer.set(`col/doc${i}`, { i });
+		await writer.close();
+
+		expect(fetch.mock.calls.length).toEqual(6);
+		expect(maxInFlight).toEqual(2);
+		expect(() => writer.set('col/doc', {})).toThrow(
+			'The BulkWriter was closed'
+		);
+	});
+
+	test('Throttles the writes, and ramps up every 5 minutes', async () => {
+		fetch.mockResponse(respond({}));
+		const writer = db.bulkWriter({ initialRate: 10, batchSize: 1 });
+		const start = Date.now();
+
+		for (let i = 0; i < 12; i++) writer.set(`col/doc${i}`, { i });
+		await writer.flush();
+
+		// The first 10 are sent right away, and the rest at 10 per second.
+		expect(Date.now() - start).toBeGreaterThanOrEqual(150);
+
+		const minutes = 60 * 1000;
+		expect(writer.rate(writer.started + 4 * minutes)).toEqual(10);
+		expect(writer.rate(writer.started + 5 * minutes)).toEqual(15);
+		expect(writer.rate(writer.started + 10 * minutes)).toEqual(22.5);
+		expect(writer.rate(writer.started + 1000 * minutes)).toEqual(10000);
+	});
+
+	test('Sends smaller requests when the rate is below the batch size', async () => {
+		fetch.mockResponse(async req => {
+			const { writes } = await req.json();
+			return respond(...writes.map(() => ({})));
+		});
+		const writer = db.bulkWriter({ initialRate: 10 });
+
+		for (let i = 0; i < 12; i++) writer.set(`col/doc${i}`, { i });
+		await writer.close();
+
+		const sizes = fetch.mock.calls.map(
+			([, init]) => JSON.parse(init.body).writes.length
+		);
+		expect(sizes[0]).toEqual(10);
+		expect(sizes.reduce((a, b) => a + b)).toEqual(12);
+	});
+});
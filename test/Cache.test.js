@@ -0,0 +1,213 @@
+import { Cache } from '../src/Cache';
+import { Database } from '../src/Database';
+import { Document } from '../src/Document';
+import { FirestoreError } from '../src/FirestoreError';
+
+const db = new Database({ projectId: 'projectId' });
+const name = path => `projects/projectId/databases/(default)/documents/${path}`;
+
+function mockDoc(
+	path,
+	updateTime = '2020-03-17T09:31:07.559644Z',
+	fields = {}
+) {
+	return new Document(
+		{
+			name: name(path),
+			fields,
+			createTime: '2019-10-10T14:00:00.617973Z',
+			updateTime
+		},
+		db
+	);
+}
+
+describe('Constructor', () => {
+	test('Throws on invalid policies', () => {
+		expect(() => new Cache({ policy: 'never' })).toThrow(
+			'Invalid cache policy: "never"'
+		);
+	});
+
+	test('Uses default options', () => {
+		const cache = new Cache();
+
+		expect(cache.policy).toEqual('network-first');
+		expect(cache.ttl).toEqual(300000);
+		expect(cache.maxSize).toEqual(1000);
+	});
+});
+
+describe('Entries', () => {
+	test('Saves and returns documents by name', () => {
+		const cache = new Cache();
+		const doc = mockDoc('col/doc');
+
+		cache.set(doc);
+		expect(cache.get(name('col/doc'))).toBe(doc);
+		expect(cache.get(name('col/other'))).toEqual(undefined);
+
+		cache.delete(name('col/doc'));
+		expect(cache.get(name('col/doc'))).toEqual(undefined);
+	});
+
+	test("Doesn't replace documents with older versions", () => {
+		const cache = new Cache();
+		const newer = mockDoc('col/doc', '2020-03-17T09:31:07.5Z');
+		const older = mockDoc('col/doc', '2020-03-17T09:31:07.49Z');
+		const newest = mockDoc('col/doc', '2020-03-17T09:31:08Z');
+
+		cache.set(newer);
+		cache.set(older);
+		expect(cache.get(name('col/doc'))).toBe(newer);
+
+		cache.set(newest);
+		expect(cache.get(name('col/doc'))).toBe(newest);
+	});
+
+	test('Expires documents after the ttl', () => {
+		const cache = new Cache({ ttl: 1000 });
+		const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+		cache.set(mockDoc('col/doc'));
+		now.mockReturnValue(999);
+		expect(cache.get(name('col/doc'))).toBeInstanceOf(Document);
+		now.mockReturnValue(1000);
+		expect(cache.get(name('col/doc'))).toEqual(undefined);
+
+		now.mockRestore();
+	});
+
+	test('Removes the least recently used documents when full', () => {
+		const cache = new Cache({ maxSize: 2 });
+
+		cache.set(mockDoc('col/one'));
+		cache.set(mockDoc('col/two'));
+		cache.get(name('col/one'));
+		cache.set(mockDoc('col/three'));
+
+		expect(cache.size).toEqual(2);
+		expect(cache.get(name('col/two'))).toEqual(undefined);
+		expect(cache.get(name('col/one'))).toBeInstanceOf(Document);
+		expect(cache.get(name('col/three'))).toBeInstanceOf(Document);
+	});
+});
+
+describe('Read policies', () => {
+	const cached = mockDoc('col/doc');
+	const fetched = mockDoc('col/doc', '2020-03-18T09:31:07.559644Z');
+
+	test('cache-first only loads missing documents', async () => {
+		const cache = new Cache();
+		const load = jest.fn(async () => fetched);
+
+		await expect(
+			cache.read(name('col/doc'), 'cache-first', load)
+		).resolves.toBe(fetched);
+		await expect(
+			cache.read(name('col/doc'), 'cache-first', load)
+		).resolves.toBe(fetched);
+		expect(load.mock.calls.length).toEqual(1);
+	});
+
+	test('network-first falls back to the cache when offline', async () => {
+		const cache = new Cache();
+		cache.set(cached);
+
+		await expect(
+			cache.read(name('col/doc'), 'network-first', async () => fetched)
+		).resolves.toBe(fetched);
+
+		await expect(
+			cache.read(name('col/doc'), 'network-first', () =>
+				Promise.reject(new TypeError('Failed to fetch'))
+			)
+		).resolves.toBe(fetched);
+	});
+
+	test('network-first removes documents that no longer exist', async () => {
+		const cache = new Cache();
+		const notFound = new FirestoreError(
+			{ status: 'NOT_FOUND' },
+			{ status: 404, path: '', method: 'GET' }
+		);
+		cache.set(cached);
+
+		await expect(
+			cache.read(name('col/doc'), 'network-first', () =>
+				Promise.reject(notFound)
+			)
+		).rejects.toBe(notFound);
+		expect(cache.get(name('col/doc'))).toEqual(undefined);
+	});
+
+	test('cache-only never loads', async () => {
+		const cache = new Cache();
+		const load = jest.fn(async () => fetched);
+
+		const error = await cache
+			.read(name('col/doc'), 'cache-only', load)
+			.catch(e => e);
+		expect(error).toBeInstanceOf(FirestoreError);
+		expect(error.code).toEqual('unavailable');
+
+		cache.set(cached);
+		await expect(cache.read(name('col/doc'), 'cache-only', load)).resolves.toBe(
+			cached
+		);
+		expect(load.mock.calls.length).toEqual(0);
+	});
+});
+
+describe('Database integration', () => {
+	const cacheDb = new Database({ projectId: 'projectId', cache: true });
+	const rawDoc = {
+		name: name('col/one'),
+		fields: { one: { integerValue: '1' } },
+		createTime: '2019-10-10T14:00:00.617973Z',
+		updateTime: '2020-03-17T09:31:07.559644Z'
+	};
+
+	beforeEach(() => {
+		fetch.resetMocks();
+		cacheDb.cache.clear();
+	});
+
+	test('Reference.get uses the policy from the options', async () => {
+		fetch.mockResponse(JSON.stringify(rawDoc));
+
+		const doc = await cacheDb.ref('col/one').get();
+		await expect(
+			cacheDb.ref('col/one').get({ policy: 'cache-first' })
+		).resolves.toBe(doc);
+		expect(fetch.mock.calls.length).toEqual(1);
+		expect(fetch.mock.calls[0][0]).toEqual(cacheDb.endpoint + '/col/one');
+	});
+
+	test("Partial documents aren't cached", async () => {
+		fetch.mockResponse(JSON.stringify(rawDoc));
+
+		await cacheDb.ref('col/one').get({ mask: ['one'] });
+		expect(cacheDb.cache.size).toEqual(0);
+	});
+
+	test('batchGet and queries fill the cache', async () => {
+		fetch.mockResponse(JSON.stringify([{ found: rawDoc }]));
+		await cacheDb.batchGet(['col/one']);
+		expect(cacheDb.cache.get(name('col/one'))).toBeInstanceOf(Document);
+
+		cacheDb.cache.clear();
+		fetch.mockResponse(JSON.stringify([{ document: rawDoc }]));
+		await cacheDb.ref('col').query().run();
+		expect(cacheDb.cache.get(name('col/one'))).toBeInstanceOf(Document);
+	});
+
+	test('Commits invalidate the written documents', async () => {
+		fetch.mockResponse(JSON.stringify([{ found: rawDoc }]));
+		await cacheDb.batchGet(['col/one']);
+
+		fetch.mockResponse('{}');
+		await cacheDb.ref('col/one').update({ one: 2 });
+		expect(cacheDb.cache.get(name('col/one'))).toEqual(undefined);
+	});
+});
@@ -2,6 +2,7 @@ import { Database } from '../src/Database';
 import { Reference } from '../src/Reference';
 import { Document } from '../src/Document';
 import { Transaction } from '../src/Transaction';
+import { FirestoreError, AbortError } from '../src/FirestoreError';
 
 describe('Constructor', () => {
 	test('Throws when `projectId` is missing', () => {
@@ -44,6 +45,465 @@ describe('Constructor', () => {
 	});
 });
 
+describe('Runtime implementations', () => {
+	afterEach(() => {
+		fetch.resetMocks();
+	});
+
+	test('Uses the provided fetch implementation', async () => {
+		const customFetch = jest.fn(async () => new Response('{"custom":true}'));
+		const db = new Database({ projectId: 'projectId', fetch: customFetch });
+
+		await expect(db.fetch(db.endpoint + '/col/doc')).resolves.toEqual({
+			custom: true
+		});
+		expect(customFetch.mock.calls[0][0]).toEqual(db.endpoint + '/col/doc');
+		expect(fetch.mock.calls.length).toEqual(0);
+	});
+
+	test('Uses the provided random bytes source for document ids', () => {
+		const randomBytes = jest.fn(length => new Uint8Array(length).fill(1));
+		const db = new Database({ projectId: 'projectId', randomBytes });
+
+		const ref = db.transaction().add('col', {});
+		expect(randomBytes).toHaveBeenCalledWith(20);
+		expect(ref.id).toEqual('b'.repeat(20));
+	});
+
+	test('Throws when the runtime has no global fetch', () => {
+		const globalFetch = global.fetch;
+		delete global.fetch;
+
+		try {
+			expect(() => new Database({ projectId: 'projectId' })).toThrow(
+				'The global "fetch" is not available in this environment'
+			);
+			expect(
+				() => new Database({ projectId: 'projectId', fetch: globalFetch })
+			).not.toThrow();
+		} finally {
+			global.fetch = globalFetch;
+		}
+	});
+
+	test('Throws when the runtime has no global crypto', () => {
+		const globalCrypto = global.crypto;
+		delete global.crypto;
+
+		try {
+			expect(() => new Database({ projectId: 'projectId' })).toThrow(
+				'The global "crypto.getRandomValues" is not available in this environment'
+			);
+			expect(
+				() =>
+					new Database({
+						projectId: 'projectId',
+						randomBytes: length => new Uint8Array(length)
+					})
+			).not.toThrow();
+		} finally {
+			global.crypto = globalCrypto;
+		}
+	});
+});
+
+describe('Fetch errors', () => {
+	const db = new Database({ projectId: 'projectId' });
+
+	afterAll(() => {
+		fetch.resetMocks();
+	});
+
+	test('Throws a FirestoreError with the request info', async () => {
+		fetch.resetMocks();
+		fetch.mockResponse(
+			JSON.stringify({
+				error: { code: 403, message: 'Denied', status: 'PERMISSION_DENIED' }
+			}),
+			{ status: 403 }
+		);
+
+		const error = await db
+			.fetch(db.endpoint + ':commit', { method: 'POST' })
+			.catch(e => e);
+
+		expect(error).toBeInstanceOf(FirestoreError);
+		expect(error.message).toEqual('Denied');
+		expect(error.code).toEqual('permission-denied');
+		expect(error.status).toEqual(403);
+		expect(error.method).toEqual('POST');
+		expect(error.path).toEqual(
+			'/v1/projects/projectId/databases/(default)/documents:commit'
+		);
+	});
+
+	test('Uses the first error of a batch response', async () => {
+		fetch.resetMocks();
+		fetch.mockResponse(
+			JSON.stringify([
+				{ readTime: '2020-03-17T09:31:07.559644Z' },
+				{ error: { message: 'Bad query', status: 'INVALID_ARGUMENT' } },
+				{ error: { message: 'Another one', status: 'INTERNAL' } }
+			]),
+			{ status: 400 }
+		);
+
+		const error = await db.fetch(db.endpoint + ':runQuery').catch(e => e);
+
+		expect(error).toBeInstanceOf(FirestoreError);
+		expect(error.message).toEqual('Bad query');
+		expect(error.code).toEqual('invalid-argument');
+		expect(error.method).toEqual('GET');
+	});
+
+	test("Handles responses that aren't JSON", async () => {
+		fetch.resetMocks();
+		fetch.mockResponse('<html>Bad Gateway</html>', { status: 502 });
+
+		const error = await db
+			.fetch(db.endpoint + ':commit', { method: 'POST' })
+			.catch(e => e);
+
+		expect(error).toBeInstanceOf(FirestoreError);
+		expect(error.message).toEqual('Request failed with status 502');
+		expect(error.code).toEqual('unknown');
+	});
+});
+
+describe('Fetch retries', () => {
+	const db = new Database({
+		projectId: 'projectId',
+		retry: { attempts: 3, baseDelay: 0 }
+	});
+	const unavailable = JSON.stringify({
+		error: {
+			code: 503,
+			message: 'The service is unavailable',
+			status: 'UNAVAILABLE'
+		}
+	});
+
+	beforeEach(() => {
+		fetch.resetMocks();
+	});
+
+	afterAll(() => {
+		fetch.resetMocks();
+	});
+
+	test('Retries reads that failed with a transient status', async () => {
+		fetch.mockResponses(
+			[unavailable, { status: 503 }],
+			[unavailable, { status: 503 }],
+			['{}']
+		);
+
+		await expect(db.fetch(db.endpoint + '/col/doc')).resolves.toEqual({});
+		expect(fetch.mock.calls.length).toEqual(3);
+	});
+
+	test('Retries network failures', async () => {
+		fetch.mockRejectOnce(new TypeError('Failed to fetch'));
+		fetch.mockResponseOnce('{}');
+
+		await expect(db.fetch(db.endpoint + '/col/doc')).resolves.toEqual({});
+		expect(fetch.mock.calls.length).toEqual(2);
+	});
+
+	test('Throws after the max attempts', async () => {
+		fetch.mockResponse(unavailable, { status: 503 });
+
+		await expect(db.fetch(db.endpoint + '/col/doc')).rejects.toThrow(
+			'The service is unavailable'
+		);
+		expect(fetch.mock.calls.length).toEqual(3);
+	});
+
+	test("Doesn't retry errors that are not transient", async () => {
+		fetch.mockResponse(
+			JSON.stringify({
+				error: { message: 'Denied', status: 'PERMISSION_DENIED' }
+			}),
+			{ status: 403 }
+		);
+
+		await expect(db.fetch(db.endpoint + '/col/doc')).rejects.toThrow('Denied');
+		expect(fetch.mock.calls.length).toEqual(1);
+	});
+
+	test("Doesn't retry requests that are not idempotent", async () => {
+		fetch.mockResponse(unavailable, { status: 503 });
+
+		await expect(
+			db.fetch(db.endpoint + ':commit', { method: 'POST' })
+		).rejects.toThrow('The service is unavailable');
+		expect(fetch.mock.calls.length).toEqual(1);
+	});
+
+	test('Uses custom retryable codes', async () => {
+		const custom = new Database({
+			projectId: 'projectId',
+			retry: { baseDelay: 0, codes: ['ABORTED'] }
+		});
+		fetch.mockResponses([unavailable, { status: 503 }], ['{}']);
+
+		await expect(custom.fetch(db.endpoint + '/col/doc')).rejects.toThrow(
+			'The service is unavailable'
+		);
+		expect(fetch.mock.calls.length).toEqual(1);
+	});
+
+	test('Retries batchGet and idempotent commits', async () => {
+		fetch.mockResponses([unavailable, { status: 503 }], ['[]']);
+		await db.batchGet(['col/doc']);
+		expect(fetch.mock.calls.length).toEqual(2);
+
+		fetch.resetMocks();
+		fetch.mockResponses([unavailable, { status: 503 }], ['{}']);
+		const tx = db.transaction();
+		tx.set('col/doc', { one: 1 });
+		await tx.commit();
+		expect(fetch.mock.calls.length).toEqual(2);
+	});
+
+	test("Doesn't retry commits with preconditions", async () => {
+		fetch.mockResponse(unavailable, { status: 503 });
+		const tx = db.transaction();
+		tx.update('col/doc', { one: 1 });
+
+		await expect(tx.commit()).rejects.toThrow('The service is unavailable');
+		expect(fetch.mock.calls.length).toEqual(1);
+	});
+});
+
+describe('Cancellation', () => {
+	// Mocks a request that never resolves, but rejects when aborted.
+	function mockPendingRequest() {
+		fetch.mockImplementation(
+			(url, init) =>
+				new Promise((resolve, reject) => {
+					init.signal.addEventListener('abort', () =>
+						reject(new DOMException('Aborted', 'AbortError'))
+					);
+				})
+		);
+	}
+
+	beforeEach(() => {
+		fetch.resetMocks();
+	});
+
+	afterAll(() => {
+		fetch.resetMocks();
+	});
+
+	test('Rejects with an AbortError when the signal is aborted', async () => {
+		const db = new Database({ projectId: 'projectId' });
+		const controller = new AbortController();
+		mockPendingRequest();
+
+		const request = db.fetch(db.endpoint + '/col/doc', undefined, {
+			signal: controller.signal
+		});
+		controller.abort();
+
+		const error = await request.catch(e => e);
+		expect(error).toBeInstanceOf(AbortError);
+		expect(error).toBeInstanceOf(FirestoreError);
+		expect(error.code).toEqual('cancelled');
+		expect(error.method).toEqual('GET');
+	});
+
+	test('Rejects when the signal was already aborted', async () => {
+		const db = new Database({ projectId: 'projectId' });
+		const controller = new AbortController();
+		controller.abort();
+
+		await expect(
+			db.fetch(db.endpoint + '/col/doc', undefined, {
+				signal: controller.signal
+			})
+		).rejects.toThrow('The request was aborted');
+	});
+
+	test('Rejects with an AbortError when the request times out', async () => {
+		const db = new Database({ projectId: 'projectId' });
+		mockPendingRequest();
+
+		const error = await db
+			.fetch(db.endpoint + '/col/doc', undefined, { timeout: 10 })
+			.catch(e => e);
+
+		expect(error).toBeInstanceOf(AbortError);
+		expect(error.code).toEqual('deadline-exceeded');
+		expect(error.message).toEqual('The request timed out');
+	});
+
+	test('Uses the default timeout of the database', async () => {
+		const db = new Database({ projectId: 'projectId', timeout: 10 });
+		mockPendingRequest();
+
+		await expect(db.batchGet(['col/doc'])).rejects.toThrow(
+			'The request timed out'
+		);
+	});
+
+	test('Stops retrying when aborted', async () => {
+		const db = new Database({
+			projectId: 'projectId',
+			retry: { attempts: 10, baseDelay: 50, jitter: 0 }
+		});
+		fetch.mockResponse(JSON.stringify({ error: { status: 'UNAVAILABLE' } }), {
+			status: 503
+		});
+
+		await expect(
+			db.fetch(db.endpoint + '/col/doc', undefined, { timeout: 80 })
+		).rejects.toThrow(AbortError);
+		expect(fetch.mock.calls.length).toEqual(2);
+	});
+
+	test('Removes the abort listener of each retry delay', async () => {
+		const db = new Database({
+			projectId: 'projectId',
+			retry: { attempts: 3, baseDelay: 1 }
+		});
+		const { signal } = new AbortController();
+		const add = jest.spyOn(signal, 'addEventListener');
+		const remove = jest.spyOn(signal, 'removeEventListener');
+		const unavailable = JSON.stringify({ error: { status: 'UNAVAILABLE' } });
+		fetch.mockResponses(
+			[unavailable, { status: 503 }],
+			[unavailable, { status: 503 }],
+			'{}'
+		);
+
+		await db.fetch(db.endpoint + '/col/doc', { signal });
+
+		const delays = add.mock.calls.filter(([, , options]) => options?.once);
+		expect(delays.length).toEqual(2);
+		for (const [type, listener] of delays)
+			expect(remove).toHaveBeenCalledWith(type, listener);
+	});
+
+	test('Passes the signal through all network calls', async () => {
+		const db = new Database({ projectId: 'projectId' });
+		const { signal } = new AbortController();
+		fetch.mockResponse('[]');
+
+		await db.batchGet(['col/doc'], { signal });
+		await db.ref('col').query().run({ signal });
+		await db.transaction().commit({ signal });
+		await db.ref('col/doc').delete({ signal });
+
+		for (const [, init] of fetch.mock.calls) {
+			expect(init.signal).toBeDefined();
+		}
+		expect(JSON.parse(fetch.mock.calls[3][1].body)).toEqual({
+			writes: [
+				{ delete: 'projects/projectId/databases/(default)/documents/col/doc' }
+			]
+		});
+	});
+});
+
+describe('Middleware', () => {
+	beforeEach(() => {
+		fetch.resetMocks();
+	});
+
+	afterAll(() => {
+		fetch.resetMocks();
+	});
+
+	test('Throws when the middleware is not a function', () => {
+		const db = new Database({ projectId: 'projectId' });
+		expect(() => db.use({})).toThrow(
+			'Expected the middleware to be a function'
+		);
+	});
+
+	test('Runs the middleware in the order they were added', async () => {
+		const db = new Database({ projectId: 'projectId' });
+		const order = [];
+		fetch.mockResponse('{}');
+
+		db.use(async (request, next) => {
+			order.push('first');
+			const res = await next();
+			order.push('first done');
+			return res;
+		}).use((request, next) => {
+			order.push('second');
+			return next();
+		});
+
+		await db.fetch(db.endpoint + '/col/doc');
+		expect(order).toEqual(['first', 'second', 'first done']);
+	});
+
+	test('Can modify the request', async () => {
+		const db = new Database({ projectId: 'projectId' });
+		fetch.mockResponse('[]');
+
+		db.use((request, next) =>
+			next({
+				input: request.input,
+				init: { ...request.init, headers: { 'X-Trace-Id': 'trace' } }
+			})
+		);
+
+		await db.batchGet(['col/doc']);
+		expect(fetch.mock.calls[0][0]).toEqual(db.endpoint + ':batchGet');
+		expect(fetch.mock.calls[0][1].method).toEqual('POST');
+		expect(fetch.mock.calls[0][1].headers).toEqual({ 'X-Trace-Id': 'trace' });
+	});
+
+	test('Can replace the response without sending the request', async () => {
+		const db = new Database({ projectId: 'projectId' });
+
+		db.use(async () => new Response(JSON.stringify({ replaced: true })));
+
+		await expect(db.fetch(db.endpoint + '/col/doc')).resolves.toEqual({
+			replaced: true
+		});
+		expect(fetch.mock.calls.length).toEqual(0);
+	});
+
+	test('Can recover from errors', async () => {
+		const db = new Database({ projectId: 'projectId' });
+		fetch.mockReject(new TypeError('Failed to fetch'));
+
+		db.use((request, next) =>
+			next().catch(() => new Response(JSON.stringify({ offline: true })))
+		);
+
+		await expect(db.fetch(db.endpoint + '/col/doc')).resolves.toEqual({
+			offline: true
+		});
+	});
+
+	test('Runs before the auth instance', async () => {
+		const calls = [];
+		const auth = {
+			authorizedRequest(input, init) {
+				calls.push('auth');
+				return fetch(input, init);
+			}
+		};
+		const db = new Database({ projectId: 'projectId', auth });
+		fetch.mockResponse('{}');
+
+		db.use((request, next) => {
+			calls.push('middleware');
+			return next();
+		});
+
+		await db.fetch(db.endpoint + '/col/doc');
+		expect(calls).toEqual(['middleware', 'auth']);
+	});
+});
+
 describe('batchGet', () => {
 	const db = new Database({ projectId: 'projectId' });
 
@@ -114,7 +574,10 @@ test('Transaction returns a new transaction instance', () => {
 });
 
 describe('RunTransactions', () => {
-	const db = new Database({ projectId: 'projectId' });
+	const db = new Database({
+		projectId: 'projectId',
+		retry: { baseDelay: 1 }
+	});
 
 	test('Sends request to correct endpoint', async () => {
 		fetch.resetMocks();
@@ -161,7 +624,7 @@ describe('RunTransactions', () => {
 			[JSON.stringify(missingDoc), { status: 404 }],
 			[JSON.stringify(failedPrecon), { status: 400 }],
 			[JSON.stringify(missingDoc), { status: 404 }],
-			[JSON.stringify(failedPrecon), { status: 400 }]
+			'{}'
 		);
 
 		let count = 0;
@@ -170,6 +633,81 @@ describe('RunTransactions', () => {
 		expect(count).toEqual(5);
 	});
 
+	test('Throws the last error when all the attempts failed', async () => {
+		const aborted = {
+			error: {
+				code: 409,
+				message: 'Too much contention on these documents.',
+				status: 'ABORTED'
+			}
+		};
+
+		fetch.resetMocks();
+		fetch.mockResponse(JSON.stringify(aborted), { status: 409 });
+
+		let count = 0;
+		const error = await db
+			.runTransaction(() => count++, 3)
+			.catch(error => error);
+
+		expect(count).toEqual(3);
+		expect(error).toBeInstanceOf(FirestoreError);
+		expect(error.code).toEqual('aborted');
+		expect(error.message).toEqual('Too much contention on these documents.');
+	});
+
+	test('Runs each attempt on a new transaction', async () => {
+		const failedPrecon = JSON.stringify({
+			error: { code: 400, status: 'FAILED_PRECONDITION' }
+		});
+
+		fetch.resetMocks();
+		fetch.mockResponses([failedPrecon, { status: 400 }], '{}');
+
+		const transactions = [];
+		await db.runTransaction(tx => {
+			transactions.push(tx);
+			tx.set('col/doc', { attempt: transactions.length });
+		});
+
+		expect(transactions[0]).not.toBe(transactions[1]);
+		expect(JSON.parse(fetch.mock.calls[1][1].body).writes.length).toEqual(1);
+	});
+
+	test('Resolves with the value returned by the callback', async () => {
+		fetch.resetMocks();
+		fetch.mockResponse('{}');
+
+		await expect(db.runTransaction(async () => 'value')).resolves.toEqual(
+			'value'
+		);
+	});
+
+	test('Retries when a read was aborted', async () => {
+		const aborted = JSON.stringify({
+			error: { code: 409, status: 'ABORTED' }
+		});
+
+		fetch.resetMocks();
+		fetch.mockResponses(
+			JSON.stringify({ transaction: 'first' }),
+			[aborted, { status: 409 }],
+			'{}',
+			JSON.stringify({ transaction: 'second' }),
+			'[]',
+			'{}'
+		);
+
+		let count = 0;
+		await db.runTransaction(async tx => {
+			count++;
+			await tx.get([]);
+		});
+
+		expect(count).toEqual(2);
+		expect(fetch.mock.calls[2][0]).toEqual(db.endpoint + ':rollback');
+	});
+
 	test('Throws without retrying when received an error not related to preconditions', async () => {
 		const error = {
 			error: {
@@ -189,6 +727,46 @@ describe('RunTransactions', () => {
 		expect(count).toEqual(1);
 	});
 
+	test('Rolls back when the callback throws', async () => {
+		fetch.resetMocks();
+		fetch.mockResponses(JSON.stringify({ transaction: 'tx-id' }), '[]', '{}');
+
+		await expect(
+			db.runTransaction(async tx => {
+				await tx.get([]);
+				throw Error('Failed inside');
+			})
+		).rejects.toThrow('Failed inside');
+
+		expect(fetch.mock.calls.length).toEqual(3);
+		expect(fetch.mock.calls[2][0]).toEqual(db.endpoint + ':rollback');
+	});
+
+	test('Retries with the ID of the failed transaction', async () => {
+		const aborted = JSON.stringify({
+			error: { code: 400, status: 'FAILED_PRECONDITION' }
+		});
+
+		fetch.resetMocks();
+		fetch.mockResponses(
+			JSON.stringify({ transaction: 'first' }),
+			'[]',
+			[aborted, { status: 400 }],
+			JSON.stringify({ transaction: 'second' }),
+			'[]',
+			'{}'
+		);
+
+		await db.runTransaction(tx => tx.get([]));
+
+		expect(JSON.parse(fetch.mock.calls[3][1].body)).toEqual({
+			options: { readWrite: { retryTransaction: 'first' } }
+		});
+		expect(JSON.parse(fetch.mock.calls[5][1].body).transaction).toEqual(
+			'second'
+		);
+	});
+
 	test('Callbacks receive all the necessary methods', () => {
 		fetch.resetMocks();
 		fetch.mockResponse('{}');
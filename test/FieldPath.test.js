@@ -0,0 +1,53 @@
+import { FieldPath } from '../src/FieldPath';
+
+describe('FieldPath', () => {
+	test('Quotes the segments that are not simple names', () => {
+		expect(new FieldPath('a', 'b_1').toString()).toEqual('a.b_1');
+		expect(new FieldPath('a.b', 'my field').toString()).toEqual(
+			'`a.b`.`my field`'
+		);
+		expect(new FieldPath('1st', 'kebab-case', 'שלום').toString()).toEqual(
+			'`1st`.`kebab-case`.`שלום`'
+		);
+		expect(new FieldPath('back`tick', 'back\\slash').toString()).toEqual(
+			'`back\\`tick`.`back\\\\slash`'
+		);
+		expect(JSON.stringify({ path: new FieldPath('a-b') })).toEqual(
+			'{"path":"`a-b`"}'
+		);
+	});
+
+	test('Parses dotted paths', () => {
+		expect(FieldPath.fromString('a.b.c').segments).toEqual(['a', 'b', 'c']);
+		expect(FieldPath.fromString('a.`b.c`').segments).toEqual(['a', 'b.c']);
+		expect(FieldPath.fromString('`back\\`tick`.x').segments).toEqual([
+			'back`tick',
+			'x'
+		]);
+		expect(FieldPath.fromString('my field').toString()).toEqual('`my field`');
+	});
+
+	test('Parsing the string of a path returns the same path', () => {
+		const path = new FieldPath('a.b', 'back`tick', 'back\\slash', 'c');
+
+		expect(FieldPath.fromString(path.toString()).segments).toEqual(
+			path.segments
+		);
+		expect(FieldPath.fromString(path.toString()).isEqual(path)).toEqual(true);
+	});
+
+	test('Throws on invalid paths', () => {
+		expect(() => new FieldPath()).toThrow(
+			'A field path needs at least one segment'
+		);
+		expect(() => new FieldPath('a', '')).toThrow(
+			'The segments of a field path must be non empty strings'
+		);
+		expect(() => FieldPath.fromString('a..b')).toThrow(
+			'Invalid field path "a..b"'
+		);
+		expect(() => FieldPath.fromString('a.`b')).toThrow(
+			'Unterminated backtick in field path "a.`b"'
+		);
+	});
+});
@@ -0,0 +1,42 @@
+import { FirestoreError } from '../src/FirestoreError';
+
+const request = { status: 404, path: '/v1/col/doc', method: 'GET' };
+
+describe('Constructor', () => {
+	test('Normalizes the gRPC status into a code', () => {
+		const error = new FirestoreError(
+			{ code: 404, message: 'No document', status: 'NOT_FOUND' },
+			request
+		);
+
+		expect(error).toBeInstanceOf(Error);
+		expect(error.name).toEqual('FirestoreError');
+		expect(error.code).toEqual('not-found');
+		expect(error.message).toEqual('No document');
+	});
+
+	test('Falls back to the HTTP status when the gRPC status is missing', () => {
+		expect(new FirestoreError({}, { ...request, status: 403 }).code).toEqual(
+			'permission-denied'
+		);
+		expect(new FirestoreError({}, { ...request, status: 418 }).code).toEqual(
+			'unknown'
+		);
+	});
+
+	test('Has a readable message when the response has none', () => {
+		expect(new FirestoreError({}, request).message).toEqual(
+			'Request failed with status 404'
+		);
+	});
+
+	test('Keeps the details and the request info', () => {
+		const details = [{ '@type': 'type.googleapis.com/google.rpc.BadRequest' }];
+		const error = new FirestoreError({ details }, request);
+
+		expect(error.details).toEqual(details);
+		expect(error.status).toEqual(404);
+		expect(error.path).toEqual('/v1/col/doc');
+		expect(error.method).toEqual('GET');
+	});
+});
@@ -68,6 +68,22 @@ describe('List', () => {
 		expect(list.documents[0]).toBeInstanceOf(Document);
 	});
 
+	test('hasNextPage', () => {
+		const ref = new Reference('col', db);
+
+		expect(new List(rawList, ref).hasNextPage).toEqual(true);
+		expect(new List({ documents: [] }, ref).hasNextPage).toEqual(false);
+	});
+
+	test("Doesn't fetch after the last page", async () => {
+		const ref = new Reference('col', db);
+		const list = new List({ documents: [] }, ref);
+
+		await expect(list.getNextPage()).rejects.toThrow(
+			'There are no more pages to fetch'
+		);
+	});
+
 	test('Implements iterator protocol', () => {
 		const ref = new Reference('col', db);
 		const list = new List(rawList, ref);
@@ -0,0 +1,431 @@
+import http from 'http';
+import { TextDecoder } from 'util';
+import { ChunkParser } from '../src/Listener';
+import { Database } from '../src/Database';
+import { FirestoreError } from '../src/FirestoreError';
+
+// jsdom doesn't implement TextDecoder.
+global.TextDecoder = TextDecoder;
+
+/**
+ * The global fetch is mocked, so the requests to the local server are sent
+ * with Node's http client. Resolves with the parts of a Response that are used.
+ */
+function httpFetch(input, { method = 'GET', headers, body, signal } = {}) {
+	return new Promise((resolve, reject) => {
+		const req = http.request(input, { method, headers }, res =>
+			resolve({
+				ok: res.statusCode >= 200 && res.statusCode < 300,
+				status: res.statusCode,
+				headers: { get: name => res.headers[name.toLowerCase()] || null },
+				body: res,
+				text: async () => {
+					let text = '';
+					for await (const chunk of res) text += chunk;
+					return text;
+				},
+				async json() {
+					return JSON.parse(await this.text());
+				}
+			})
+		);
+
+		req.on('error', reject);
+		signal?.addEventListener('abort', () => {
+			req.destroy();
+			reject(new DOMException('Aborted', 'AbortError'));
+		});
+		req.end(body);
+	});
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const name = id => `projects/projectId/databases/(default)/documents/col/${id}`;
+
+function rawDoc(id, updateTime = '2020-03-17T09:31:07.559644Z') {
+	return {
+		name: name(id),
+		fields: { id: { stringValue: id } },
+		createTime: '2019-10-10T14:00:00.617973Z',
+		updateTime
+	};
+}
+
+/** Frames the arrays of a WebChannel response as a chunk. */
+function chunk(arrays) {
+	const json = JSON.stringify(arrays) + '\n';
+	return `${json.length}\n${json}`;
+}
+
+/**
+ * A local server that mocks the WebChannel of the Listen method. Each back
+ * channel request is passed to the `onRequest` handler, which writes the
+ * messages with `send` and ends the request with `end`.
+ */
+function createServer() {
+	const server = {
+		sessions: [],
+		requests: [],
+		onRequest: () => {}
+	};
+
+	server.http = http.createServer((req, res) => {
+		const url = new URL(req.url, 'http://localhost');
+		const params = Object.fromEntries(url.searchParams);
+		let body = '';
+		req.on('data', chunk => (body += chunk));
+		req.on('end', () => {
+			if (req.method === 'POST') {
+				const session = {
+					id: `session-${server.sessions.length + 1}`,
+					url: url.pathname,
+					params,
+					body: JSON.parse(new URLSearchParams(body).get('req0___data__')),
+					arrayId: 0,
+					terminated: false
+				};
+
+				server.sessions.push(session);
+				res.writeHead(200, { 'X-HTTP-Session-Id': 'gsession' });
+				return res.end(chunk([[0, ['c', session.id, '', 8, 14, 30000]]]));
+			}
+
+			const session = server.sessions.find(({ id }) => id === params.SID);
+			if (!session) {
+				res.writeHead(400);
+				return res.end('Unknown SID');
+			}
+
+			if (params.TYPE === 'terminate') {
+				session.terminated = true;
+				return res.end();
+			}
+
+			const request = {
+				params,
+				session,
+				body: session.body,
+				closed: false,
+				send(...messages) {
+					res.write(
+						chunk(messages.map(message => [++session.arrayId, [message]]))
+					);
+				},
+				end() {
+					res.end();
+				}
+			};
+
+			res.on('close', () => (request.closed = true));
+			res.writeHead(200);
+			server.requests.push(request);
+			server.onRequest(request);
+		});
+	});
+
+	return new Promise(resolve =>
+		server.http.listen(0, () => {
+			server.db = new Database({
+				projectId: 'projectId',
+				host: `localhost:${server.http.address().port}`,
+				ssl: false,
+				fetch: httpFetch,
+				retry: { baseDelay: 5 }
+			});
+			resolve(server);
+		})
+	);
+}
+
+const current = (targetId, resumeToken) => [
+	{ targetChange: { targetChangeType: 'CURRENT', targetIds: [targetId] } },
+	{ targetChange: { targetChangeType: 'NO_CHANGE', resumeToken } }
+];
+
+describe('ChunkParser', () => {
+	test('Returns the arrays once their chunk was fully received', () => {
+		const parser = new ChunkParser();
+
+		expect(parser.push('2')).toEqual([]);
+		expect(parser.push('7\n[[1,["noop"]],[2,')).toEqual([]);
+		expect(parser.push('["a\\n"]]]\n21\n[[3,[{"b":"[\\"]"}]]]')).toEqual([
+			[1, ['noop']],
+			[2, ['a\n']]
+		]);
+		expect(parser.push('\n')).toEqual([[3, [{ b: '["]' }]]]);
+	});
+
+	test('Throws when the size of a chunk is invalid', () => {
+		expect(() => new ChunkParser().push('[[1,["noop"]]]\n')).toThrow(
+			'Invalid WebChannel chunk size'
+		);
+	});
+});
+
+describe('Listener', () => {
+	let server;
+
+	beforeAll(async () => {
+		server = await createServer();
+	});
+
+	afterAll(() => new Promise(resolve => server.http.close(resolve)));
+
+	beforeEach(() => {
+		server.sessions = [];
+		server.requests = [];
+		server.onRequest = () => {};
+	});
+
+	test('Reports the snapshots of a document', async () => {
+		const callback = jest.fn();
+		server.onRequest = req => {
+			req.send(
+				{ targetChange: { targetChangeType: 'ADD', targetIds: [1] } },
+				{ documentChange: { document: rawDoc('one'), targetIds: [1] } },
+				...current(1, 'token-1')
+			);
+		};
+
+		const unsubscribe = server.db.ref('col/one').listen(callback);
+		await wait(50);
+
+		const [session] = server.sessions;
+		expect(session.url).toEqual(
+			'/google.firestore.v1.Firestore/Listen/channel'
+		);
+		expect(session.params).toMatchObject({
+			database: 'projects/projectId/databases/(default)',
+			VER: '8',
+			'X-HTTP-Session-Id': 'gsessionid'
+		});
+		expect(session.body).toEqual({
+			database: 'projects/projectId/databases/(default)',
+			addTarget: { documents: { documents: [name('one')] }, targetId: 1 }
+		});
+		expect(server.requests[0].params).toMatchObject({
+			SID: 'session-1',
+			gsessionid: 'gsession',
+			RID: 'rpc',
+			AID: '0',
+			TYPE: 'xmlhttp'
+		});
+		expect(callback.mock.calls.length).toEqual(1);
+		expect(callback.mock.calls[0][0][0].id).toEqual('one');
+
+		server.requests[0].send(
+			{ documentDelete: { document: name('one'), removedTargetIds: [1] } },
+			{
+				targetChange: { targetChangeType: 'NO_CHANGE', resumeToken: 'token-2' }
+			}
+		);
+		await wait(50);
+
+		expect(callback.mock.calls.length).toEqual(2);
+		expect(callback.mock.calls[1][0]).toEqual([]);
+		expect(callback.mock.calls[1][1].removed[0].id).toEqual('one');
+
+		unsubscribe();
+		await wait(50);
+		expect(server.requests[0].closed).toEqual(true);
+		expect(session.terminated).toEqual(true);
+	});
+
+	test('Reports the changes of a query', async () => {
+		const callback = jest.fn();
+		server.onRequest = req =>
+			req.send(
+				{ documentChange: { document: rawDoc('one'), targetIds: [2] } },
+				{ documentChange: { document: rawDoc('two'), targetIds: [2] } },
+				{ targetChange: { targetChangeType: 'CURRENT', targetIds: [2] } },
+				{ targetChange: { resumeToken: 'token-1' } },
+				{
+					documentChange: {
+						document: rawDoc('one', '2020-03-18T09:31:07.559644Z'),
+						targetIds: [2]
+					}
+				},
+				{ documentChange: { document: rawDoc('two'), removedTargetIds: [2] } },
+				{ targetChange: { resumeToken: 'token-2' } }
+			);
+
+		const unsubscribe = server.db
+			.ref('col')
+			.query({ where: [['id', '==', 'one']] })
+			.listen(callback);
+		await wait(50);
+		unsubscribe();
+
+		const { query } = server.requests[0].body.addTarget;
+		expect(query.parent).toEqual(
+			'projects/projectId/databases/(default)/documents'
+		);
+		expect(query.structuredQuery.from).toEqual({ collectionId: 'col' });
+		expect(callback.mock.calls.length).toEqual(2);
+		expect(callback.mock.calls[0][1].added.map(doc => doc.id)).toEqual([
+			'one',
+			'two'
+		]);
+		expect(callback.mock.calls[1][1].modified.map(doc => doc.id)).toEqual([
+			'one'
+		]);
+		expect(callback.mock.calls[1][1].removed.map(doc => doc.id)).toEqual([
+			'two'
+		]);
+	});
+
+	test('Continues the back channel when its request ends', async () => {
+		server.onRequest = req => {
+			if (server.requests.length > 1) return;
+			req.send(
+				{ documentChange: { document: rawDoc('one'), targetIds: [3] } },
+				...current(3, 'token-1')
+			);
+			req.end();
+		};
+
+		const unsubscribe = server.db.ref('col/one').listen(() => {});
+		await wait(100);
+		unsubscribe();
+
+		expect(server.sessions.length).toEqual(1);
+		expect(server.requests.length).toEqual(2);
+		expect(server.requests[1].params).toMatchObject({
+			SID: 'session-1',
+			AID: '3'
+		});
+	});
+
+	test('Reconnects with the resume token when the channel closes', async () => {
+		server.onRequest = req => {
+			if (server.requests.length > 1) return;
+			req.send(
+				{ documentChange: { document: rawDoc('one'), targetIds: [4] } },
+				...current(4, 'token-1'),
+				'close'
+			);
+		};
+
+		const unsubscribe = server.db.ref('col/one').listen(() => {});
+		await wait(100);
+		unsubscribe();
+
+		expect(server.sessions.length).toEqual(2);
+		expect(server.sessions[0].terminated).toEqual(true);
+		expect(server.requests[1].params.SID).toEqual('session-2');
+		expect(server.requests[1].body.addTarget.resumeToken).toEqual('token-1');
+	});
+
+	test('Starts over when the existence filter mismatches', async () => {
+		const callback = jest.fn();
+		server.onRequest = req => {
+			if (server.requests.length > 1) return req.send(...current(5, 'token-2'));
+			req.send(
+				{ documentChange: { document: rawDoc('one'), targetIds: [5] } },
+				{ targetChange: { targetChangeType: 'CURRENT', targetIds: [5] } },
+				{ targetChange: { resumeToken: 'token-1' } },
+				{ filter: { targetId: 4, count: 0 } }
+			);
+		};
+
+		const unsubscribe = server.db.ref('col/one').listen(callback);
+		await wait(100);
+		unsubscribe();
+
+		expect(server.requests.length).toEqual(2);
+		expect(server.requests[0].closed).toEqual(true);
+		expect(server.requests[1].body.addTarget.resumeToken).toEqual(undefined);
+		expect(callback.mock.calls.length).toEqual(2);
+		expect(callback.mock.calls[1][0]).toEqual([]);
+	});
+
+	test('Stops and reports when the server removes the target', async () => {
+		const onError = jest.fn();
+		server.onRequest = req =>
+			req.send({
+				targetChange: {
+					targetChangeType: 'REMOVE',
+					targetIds: [6],
+					cause: { code: 7, message: 'Missing or insufficient permissions.' }
+				}
+			});
+
+		server.db.ref('col/one').listen(() => {}, { onError });
+		await wait(50);
+
+		const error = onError.mock.calls[0][0];
+		expect(error).toBeInstanceOf(FirestoreError);
+		expect(error.code).toEqual('permission-denied');
+		expect(error.message).toEqual('Missing or insufficient permissions.');
+		expect(server.requests.length).toEqual(1);
+		expect(server.requests[0].closed).toEqual(true);
+	});
+
+	test("Doesn't log the error without onError", async () => {
+		const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+		server.onRequest = req =>
+			req.send({
+				targetChange: { targetChangeType: 'REMOVE', targetIds: [7] }
+			});
+
+		server.db.ref('col/one').listen(() => {});
+		await wait(50);
+
+		expect(server.requests.length).toEqual(1);
+		expect(server.requests[0].closed).toEqual(true);
+		expect(log).not.toHaveBeenCalled();
+		log.mockRestore();
+	});
+
+	test('Ignores errors thrown by onError', async () => {
+		const unhandled = jest.fn();
+		process.on('unhandledRejection', unhandled);
+		server.onRequest = req =>
+			req.send({
+				targetChange: { targetChangeType: 'REMOVE', targetIds: [8] }
+			});
+
+		server.db.ref('col/one').listen(() => {}, {
+			onError() {
+				throw Error('Handler bug');
+			}
+		});
+		await wait(50);
+		process.off('unhandledRejection', unhandled);
+
+		expect(server.requests[0].closed).toEqual(true);
+		expect(unhandled).not.toHaveBeenCalled();
+	});
+
+	test('Stops and reports the errors sent by the channel', async () => {
+		const onError = jest.fn();
+		server.onRequest = req =>
+			req.send([
+				{
+					error: {
+						code: 403,
+						message: 'The caller does not have permission',
+						status: 'PERMISSION_DENIED'
+					}
+				}
+			]);
+
+		server.db.ref('col/one').listen(() => {}, { onError });
+		await wait(50);
+
+		const error = onError.mock.calls[0][0];
+		expect(error).toBeInstanceOf(FirestoreError);
+		expect(error.code).toEqual('permission-denied');
+		expect(server.requests.length).toEqual(1);
+		expect(server.sessions[0].terminated).toEqual(true);
+	});
+
+	test('Throws when the target is invalid', () => {
+		expect(() => server.db.ref('col').listen(() => {})).toThrow(
+			'You are trying to access a method reserved for Documents with a Collection'
+		);
+		expect(() => server.db.listen({}, () => {})).toThrow(
+			'Expected a Reference to a document or a Query'
+		);
+	});
+});
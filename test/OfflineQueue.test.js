@@ -0,0 +1,250 @@
+import { OfflineQueue, MemoryStorage } from '../src/OfflineQueue';
+import { Database } from '../src/Database';
+
+const offlineError = () => Promise.reject(new TypeError('Failed to fetch'));
+const writes = path => [
+	{ delete: `projects/projectId/databases/(default)/documents/${path}` }
+];
+
+beforeEach(() => {
+	fetch.resetMocks();
+});
+
+describe('MemoryStorage', () => {
+	test('Saves and loads batches', () => {
+		const storage = new MemoryStorage();
+		const batches = [{ id: 'one', writes: writes('col/one') }];
+
+		expect(storage.load()).toEqual([]);
+		storage.save(batches);
+		expect(storage.load()).toEqual(batches);
+	});
+});
+
+describe('Queue', () => {
+	const db = new Database({ projectId: 'projectId' });
+
+	test('Persists enqueued writes', async () => {
+		const storage = new MemoryStorage();
+		const queue = new OfflineQueue(db, { storage });
+
+		await queue.enqueue(writes('col/one'));
+		await queue.enqueue(writes('col/two'));
+
+		expect(storage.load().map(batch => batch.writes)).toEqual([
+			writes('col/one'),
+			writes('col/two')
+		]);
+		expect(await queue.pending()).toEqual(storage.load());
+	});
+
+	test('Replays batches in order', async () => {
+		const onSuccess = jest.fn();
+		const queue = new OfflineQueue(db, { onSuccess });
+		fetch.mockResponse('{}');
+
+		await queue.enqueue(writes('col/one'));
+		await queue.enqueue(writes('col/two'));
+		await queue.replay();
+
+		expect(fetch.mock.calls.map(([, init]) => JSON.parse(init.body))).toEqual([
+			{ writes: writes('col/one') },
+			{ writes: writes('col/two') }
+		]);
+		expect(onSuccess.mock.calls.length).toEqual(2);
+		expect(await queue.pending()).toEqual([]);
+	});
+
+	test('Stops replaying when offline', async () => {
+		const queue = new OfflineQueue(db);
+		fetch.mockResponseOnce('{}').mockImplementation(offlineError);
+
+		await queue.enqueue(writes('col/one'));
+		await queue.enqueue(writes('col/two'));
+		await queue.replay();
+
+		const pending = await queue.pending();
+		expect(pending.length).toEqual(1);
+		expect(pending[0].writes).toEqual(writes('col/two'));
+	});
+
+	test('Reports conflicts and failures, and drops the batches', async () => {
+		const onConflict = jest.fn();
+		const onFailure = jest.fn();
+		const queue = new OfflineQueue(db, { onConflict, onFailure });
+		fetch.mockResponses(
+			[
+				JSON.stringify({ error: { status: 'FAILED_PRECONDITION' } }),
+				{ status: 400 }
+			],
+			[
+				JSON.stringify({ error: { status: 'PERMISSION_DENIED' } }),
+				{ status: 403 }
+			]
+		);
+
+		await queue.enqueue(writes('col/one'));
+		await queue.enqueue(writes('col/two'));
+		await queue.replay();
+
+		expect(onConflict.mock.calls[0][0].writes).toEqual(writes('col/one'));
+		expect(onConflict.mock.calls[0][1].code).toEqual('failed-precondition');
+		expect(onFailure.mock.calls[0][0].writes).toEqual(writes('col/two'));
+		expect(onFailure.mock.calls[0][1].code).toEqual('permission-denied');
+		expect(await queue.pending()).toEqual([]);
+	});
+
+	test('Ignores errors of the callbacks', async () => {
+		const onSuccess = jest.fn(() => {
+			throw Error('Handler bug');
+		});
+		const onFailure = jest.fn(() => {
+			throw Error('Handler bug');
+		});
+		const queue = new OfflineQueue(db, { onSuccess, onFailure });
+		fetch.mockResponses(
+			'{}',
+			[
+				JSON.stringify({ error: { status: 'INVALID_ARGUMENT' } }),
+				{ status: 400 }
+			],
+			'{}'
+		);
+
+		await queue.enqueue(writes('col/one'));
+		await queue.enqueue(writes('col/two'));
+		await queue.enqueue(writes('col/three'));
+		await queue.replay();
+
+		expect(fetch.mock.calls.length).toEqual(3);
+		expect(onSuccess.mock.calls.length).toEqual(2);
+		expect(onFailure.mock.calls.length).toEqual(1);
+		expect(await queue.pending()).toEqual([]);
+	});
+
+	test('Removes the batches even when saving fails', async () => {
+		const storage = new MemoryStorage();
+		storage.save = jest.fn(() => Promise.reject(Error('Quota exceeded')));
+		const queue = new OfflineQueue(db, { storage });
+		await queue.enqueue(writes('col/one')).catch(() => {});
+		fetch.mockResponse('{}');
+
+		await queue.replay();
+
+		expect(fetch.mock.calls.length).toEqual(1);
+		expect(await queue.pending()).toEqual([]);
+	});
+
+	test('Replays batches loaded from the storage', async () => {
+		const storage = {
+			load: async () => [{ id: 'saved', writes: writes('col/saved') }],
+			save: jest.fn()
+		};
+		fetch.mockResponse('{}');
+
+		const queue = new OfflineQueue(db, { storage });
+		await queue.replay();
+
+		expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+			writes: writes('col/saved')
+		});
+		expect(storage.save).toHaveBeenLastCalledWith([]);
+	});
+
+	test('Replays when the browser goes online', async () => {
+		const queue = new OfflineQueue(db);
+		await queue.enqueue(writes('col/one'));
+		fetch.mockResponse('{}');
+
+		window.dispatchEvent(new Event('online'));
+		await queue.replay();
+
+		expect(
+			fetch.mock.calls.map(([, init]) => JSON.parse(init.body))
+		).toContainEqual({ writes: writes('col/one') });
+		expect(await queue.pending()).toEqual([]);
+	});
+
+	test("Doesn't replay when the browser goes online after closing", async () => {
+		const queue = new OfflineQueue(db);
+		queue.close();
+		// Wait for the storage, which replays the batches that were loaded.
+		await queue.pending();
+		await queue.enqueue(writes('col/one'));
+		fetch.mockResponse('{}');
+
+		window.dispatchEvent(new Event('online'));
+
+		expect(fetch.mock.calls.length).toEqual(0);
+		expect((await queue.pending()).length).toEqual(1);
+	});
+});
+
+describe('Transaction integration', () => {
+	test('Queues commits that failed because of the network', async () => {
+		const db = new Database({ projectId: 'projectId', offline: true });
+		fetch.mockImplementation(offlineError);
+
+		await expect(db.ref('col/one').delete()).resolves.toEqual(undefined);
+
+		const pending = await db.offline.pending();
+		expect(pending.map(batch => batch.writes)).toEqual([writes('col/one')]);
+	});
+
+	test('Queues commits while there are pending writes', async () => {
+		const db = new Database({ projectId: 'projectId', offline: true });
+		fetch.mockImplementation(offlineError);
+
+		await db.ref('col/one').delete();
+		await db.ref('col/two').delete();
+
+		const pending = await db.offline.pending();
+		expect(pending.map(batch => batch.writes)).toEqual([
+			writes('col/one'),
+			writes('col/two')
+		]);
+	});
+
+	test("Doesn't queue commits that timed out", async () => {
+		const db = new Database({
+			projectId: 'projectId',
+			offline: true,
+			retry: { attempts: 1 }
+		});
+
+		fetch.mockImplementation(
+			(url, init) =>
+				new Promise((resolve, reject) =>
+					init.signal.addEventListener('abort', () =>
+						reject(new DOMException('Aborted', 'AbortError'))
+					)
+				)
+		);
+		await expect(
+			db.ref('col/one').set({ one: 1 }, { timeout: 10 })
+		).rejects.toThrow('The request timed out');
+
+		fetch.mockResponse(
+			JSON.stringify({
+				error: { message: 'Deadline', status: 'DEADLINE_EXCEEDED' }
+			}),
+			{ status: 504 }
+		);
+		await expect(db.ref('col/one').delete()).rejects.toThrow('Deadline');
+
+		expect(await db.offline.pending()).toEqual([]);
+	});
+
+	test("Doesn't queue commits that were rejected by the server", async () => {
+		const db = new Database({ projectId: 'projectId', offline: true });
+		fetch.mockResponse(
+			JSON.stringify({
+				error: { message: 'Denied', status: 'PERMISSION_DENIED' }
+			}),
+			{ status: 403 }
+		);
+
+		await expect(db.ref('col/one').delete()).rejects.toThrow('Denied');
+		expect(await db.offline.pending()).toEqual([]);
+	});
+});
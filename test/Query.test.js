@@ -1,6 +1,7 @@
 import { Database } from '../src/Database';
-import { Query } from '../src/Query';
+import { Query, and, or, count, sum, average } from '../src/Query';
 import { Document } from '../src/Document';
+import { FieldPath } from '../src/FieldPath';
 
 const db = new Database({ projectId: 'projectId' });
 const parent = db.ref('');
@@ -177,8 +178,55 @@ describe('Query', () => {
 					where: ['path', '>=', null]
 				});
 			}).toThrow(
-				'Invalid argument "where": Null and NaN can only be used with the == operator'
+				'Invalid argument "where": Null and NaN can only be used with the == and != operators'
 			);
+
+			expect(() => {
+				new Query(parent, {
+					from: 'col',
+					where: ['path', 'not-in', 11]
+				});
+			}).toThrow(
+				'Invalid argument "where": The "not-in" operator requires a non empty array'
+			);
+
+			expect(() => {
+				new Query(parent, {
+					from: 'col',
+					where: ['path', 'in', []]
+				});
+			}).toThrow(
+				'Invalid argument "where": The "in" operator requires a non empty array'
+			);
+
+			expect(() => {
+				new Query(parent, {
+					from: 'col',
+					where: ['path', 'array-contains', [1]]
+				});
+			}).toThrow(
+				'Invalid argument "where": The "array-contains" operator can\'t be used with an array'
+			);
+		});
+
+		test('Operators', () => {
+			const operators = {
+				'!=': 'NOT_EQUAL',
+				'array-contains': 'ARRAY_CONTAINS',
+				'array-contains-any': 'ARRAY_CONTAINS_ANY',
+				'not-in': 'NOT_IN'
+			};
+
+			for (const [operator, op] of Object.entries(operators)) {
+				const value = operator.endsWith('contains') ? 1 : [1];
+				const query = new Query(parent, {
+					from: 'col',
+					where: ['path', operator, value]
+				});
+
+				const { fieldFilter } = query.toJSON().structuredQuery.where;
+				expect(fieldFilter.op).toEqual(op);
+			}
 		});
 
 		describe('Filter types', () => {
@@ -236,6 +284,25 @@ describe('Query', () => {
 				expect(queryNull.toJSON().structuredQuery.where).toEqual(expectedNull);
 			});
 
+			test('Negated unaryFilter', () => {
+				const queryNaN = new Query(parent, {
+					from: 'col',
+					where: ['field.path', '!=', NaN]
+				});
+
+				const queryNull = new Query(parent, {
+					from: 'col',
+					where: ['field.path', '!=', null]
+				});
+
+				expect(queryNaN.toJSON().structuredQuery.where.unaryFilter.op).toEqual(
+					'IS_NOT_NAN'
+				);
+				expect(queryNull.toJSON().structuredQuery.where.unaryFilter.op).toEqual(
+					'IS_NOT_NULL'
+				);
+			});
+
 			test('compositeFilter', () => {
 				const query = new Query(parent, {
 					from: 'col',
@@ -283,6 +350,127 @@ describe('Query', () => {
 
 				expect(query.toJSON().structuredQuery.where).toEqual(expected);
 			});
+
+			test('OR filters', () => {
+				const query = new Query(parent, {
+					from: 'col',
+					where: or(['a', '==', 1], ['b', '==', null])
+				});
+
+				expect(query.toJSON().structuredQuery.where).toEqual({
+					compositeFilter: {
+						op: 'OR',
+						filters: [
+							{
+								fieldFilter: {
+									field: { fieldPath: 'a' },
+									op: 'EQUAL',
+									value: { integerValue: '1' }
+								}
+							},
+							{
+								unaryFilter: {
+									field: { fieldPath: 'b' },
+									op: 'IS_NULL'
+								}
+							}
+						]
+					}
+				});
+			});
+
+			test('Nested composite filters', () => {
+				const query = new Query(parent, {
+					from: 'col',
+					where: [
+						['a', '==', 1],
+						or(and(['b', '>', 2], ['c', '<', 3]), ['d', '==', 4])
+					]
+				});
+
+				const field = (fieldPath, op, integerValue) => ({
+					fieldFilter: {
+						field: { fieldPath },
+						op,
+						value: { integerValue }
+					}
+				});
+
+				expect(query.toJSON().structuredQuery.where).toEqual({
+					compositeFilter: {
+						op: 'AND',
+						filters: [
+							field('a', 'EQUAL', '1'),
+							{
+								compositeFilter: {
+									op: 'OR',
+									filters: [
+										{
+											compositeFilter: {
+												op: 'AND',
+												filters: [
+													field('b', 'GREATER_THAN', '2'),
+													field('c', 'LESS_THAN', '3')
+												]
+											}
+										},
+										field('d', 'EQUAL', '4')
+									]
+								}
+							}
+						]
+					}
+				});
+			});
+
+			test('Composite filters of a single filter are unwrapped', () => {
+				const query = new Query(parent, {
+					from: 'col',
+					where: or(and(['a', '==', 1]))
+				});
+
+				expect(query.toJSON().structuredQuery.where).toEqual({
+					fieldFilter: {
+						field: { fieldPath: 'a' },
+						op: 'EQUAL',
+						value: { integerValue: '1' }
+					}
+				});
+			});
+
+			test('Composite filters with the where method', () => {
+				const query = new Query(parent, { from: 'col' })
+					.where('a', '==', 1)
+					.where(or(['b', '==', 2], ['c', '==', 3]));
+
+				const { where } = query.toJSON().structuredQuery;
+				expect(where.compositeFilter.op).toEqual('AND');
+				expect(where.compositeFilter.filters[1].compositeFilter.op).toEqual(
+					'OR'
+				);
+			});
+
+			test('Invalid composite filters', () => {
+				expect(() => {
+					new Query(parent, { from: 'col', where: or() });
+				}).toThrow('Invalid argument "where": "or" needs at least one filter');
+
+				expect(() => {
+					new Query(parent, {
+						from: 'col',
+						where: or(['a', '==', 1], and(['b', '===', 2]))
+					});
+				}).toThrow('Invalid argument "where": or[1]: and[0]: Invalid operator');
+
+				expect(() => {
+					new Query(parent, {
+						from: 'col',
+						where: [['a', '==', 1], or(['b', '>', null])]
+					});
+				}).toThrow(
+					'Invalid argument "where[1]": or[0]: Null and NaN can only be used with the == and != operators'
+				);
+			});
 		});
 	});
 
@@ -330,7 +518,7 @@ describe('Query', () => {
 			const query = new Query(parent, {
 				from: 'col',
 				orderBy: 'field.path',
-				startAt: mockDoc // The cursor
+				startAt: [1] // A cursor with the value of field.path
 			});
 
 			const expected = [
@@ -358,7 +546,7 @@ describe('Query', () => {
 					field: 'field.path',
 					direction: 'desc'
 				},
-				startAt: mockDoc // The cursor
+				startAt: [1] // A cursor with the value of field.path
 			});
 
 			const expected = [
@@ -451,6 +639,36 @@ describe('Query', () => {
 		});
 	});
 
+	describe('Field paths', () => {
+		test('Quotes field names in select, where and orderBy', () => {
+			const query = new Query(parent, {
+				from: 'col',
+				select: ['my-field', new FieldPath('a.b', 'c')],
+				where: [
+					['map.`sub-field`', '==', 1],
+					[new FieldPath('שדה'), '>', 2]
+				],
+				orderBy: [
+					new FieldPath('שדה'),
+					{ field: 'with space', direction: 'desc' }
+				]
+			});
+			const { select, where, orderBy } = query.toJSON().structuredQuery;
+
+			expect(select.fields).toEqual([
+				{ fieldPath: '`my-field`' },
+				{ fieldPath: '`a.b`.c' }
+			]);
+			expect(
+				where.compositeFilter.filters.map(f => f.fieldFilter.field)
+			).toEqual([{ fieldPath: 'map.`sub-field`' }, { fieldPath: '`שדה`' }]);
+			expect(orderBy.map(order => order.field)).toEqual([
+				{ fieldPath: '`שדה`' },
+				{ fieldPath: '`with space`' }
+			]);
+		});
+	});
+
 	describe('startAt', () => {
 		test('Valid arguments', () => {
 			const query = new Query(parent, {
@@ -501,23 +719,16 @@ describe('Query', () => {
 			expect(query.toJSON().structuredQuery.startAt).toEqual(expected);
 		});
 
-		test("Doesn't add missing fields from orderBy to the cursor", () => {
+		test('Throws when the document is missing a field from orderBy', () => {
 			const query = new Query(parent, {
 				from: 'col',
-				orderBy: 'six',
+				orderBy: ['six', 'one'],
 				startAt: mockDoc
 			});
 
-			const expected = {
-				values: [
-					{
-						referenceValue: mockDoc.__meta__.name
-					}
-				],
-				before: true
-			};
-
-			expect(query.toJSON().structuredQuery.startAt).toEqual(expected);
+			expect(() => query.toJSON()).toThrow(
+				'The document has no value for the orderBy field "six"'
+			);
 		});
 	});
 
@@ -534,7 +745,7 @@ describe('Query', () => {
 						referenceValue: mockDoc.__meta__.name
 					}
 				],
-				before: true
+				before: false
 			};
 
 			expect(query.toJSON().structuredQuery.endAt).toEqual(expected);
@@ -550,6 +761,112 @@ describe('Query', () => {
 		});
 	});
 
+	describe('Cursors', () => {
+		test('Sets the before flag of each cursor', () => {
+			const cursor = option =>
+				new Query(parent, { from: 'col', [option]: mockDoc }).toJSON()
+					.structuredQuery;
+
+			expect(cursor('startAt').startAt.before).toEqual(true);
+			expect(cursor('startAfter').startAt.before).toEqual(false);
+			expect(cursor('endAt').endAt.before).toEqual(false);
+			expect(cursor('endBefore').endAt.before).toEqual(true);
+		});
+
+		test('Values of the orderBy fields', () => {
+			const query = new Query(parent, { from: 'col' })
+				.orderBy('age')
+				.orderBy('name')
+				.startAfter(0, '')
+				.endBefore(false);
+
+			const { startAt, endAt } = query.toJSON().structuredQuery;
+			expect(startAt).toEqual({
+				values: [{ integerValue: '0' }, { stringValue: '' }],
+				before: false
+			});
+			expect(endAt).toEqual({
+				values: [{ booleanValue: false }],
+				before: true
+			});
+		});
+
+		test('Values as options', () => {
+			const query = new Query(parent, {
+				from: 'col',
+				orderBy: 'tags',
+				startAt: [['a', 'b']]
+			});
+
+			expect(query.toJSON().structuredQuery.startAt).toEqual({
+				values: [
+					{
+						arrayValue: {
+							values: [{ stringValue: 'a' }, { stringValue: 'b' }]
+						}
+					}
+				],
+				before: true
+			});
+		});
+
+		test('Falsy and nested values of a document', () => {
+			const doc = new Document(
+				{
+					name: 'projects/projectId/databases/(default)/documents/col/doc',
+					fields: {
+						count: { integerValue: '0' },
+						address: {
+							mapValue: { fields: { zip: { stringValue: '' } } }
+						}
+					}
+				},
+				db
+			);
+
+			const query = new Query(parent, {
+				from: 'col',
+				orderBy: ['count', 'address.zip'],
+				startAfter: doc
+			});
+
+			expect(query.toJSON().structuredQuery.startAt).toEqual({
+				values: [
+					{ integerValue: '0' },
+					{ stringValue: '' },
+					{ referenceValue: doc.__meta__.name }
+				],
+				before: false
+			});
+		});
+
+		test('Invalid cursors', () => {
+			const query = new Query(parent, { from: 'col' }).orderBy('age');
+
+			expect(() => query.startAt()).toThrow(
+				'Expected a Document instance or the values of the orderBy fields'
+			);
+			expect(() => query.startAt(undefined)).toThrow(
+				"Cursor values can't be undefined"
+			);
+			expect(() => query.endAt(1, 2, 3).toJSON()).toThrow(
+				'A cursor can only have a value for each of the orderBy fields'
+			);
+			expect(() =>
+				new Query(parent, { from: 'col' }).startAt('abc').toJSON()
+			).toThrow(
+				'The cursor value of the document name must be a Reference, order by a field to use other values'
+			);
+
+			const byName = new Query(parent, { from: 'col' }).startAt(
+				db.ref('col/doc')
+			);
+			expect(byName.toJSON().structuredQuery.startAt.values).toEqual([
+				{ referenceValue: db.ref('col/doc').name }
+			]);
+		});
+	});
+
 	describe('offset', () => {
 		test('Valid argument', () => {
 			const query = new Query(parent, {
@@ -590,6 +907,217 @@ describe('Query', () => {
 		});
 	});
 
+	describe('aggregate', () => {
+		const response = aggregateFields =>
+			JSON.stringify([
+				{ result: { aggregateFields }, readTime: '2020-03-29T00:17:46.518749Z' }
+			]);
+
+		const body = () => JSON.parse(fetch.mock.calls[0][1].body);
+
+		beforeEach(() => fetch.resetMocks());
+
+		test('Sends the aggregations with the structured query', async () => {
+			fetch.mockResponse(
+				response({
+					total: { integerValue: '3' },
+					ages: { integerValue: '63' },
+					avgAge: { doubleValue: 21 }
+				})
+			);
+			const query = new Query(parent, {
+				from: 'col',
+				where: ['age', '>', 18]
+			});
+
+			const result = await query.aggregate({
+				total: count(),
+				ages: sum('age'),
+				avgAge: average(new FieldPath('stats', 'avg-age'))
+			});
+
+			expect(result).toEqual({ total: 3, ages: 63, avgAge: 21 });
+			expect(fetch.mock.calls[0][0]).toEqual(
+				parent.endpoint + ':runAggregationQuery'
+			);
+			expect(body()).toEqual({
+				structuredAggregationQuery: {
+					structuredQuery: query.toJSON().structuredQuery,
+					aggregations: [
+						{ alias: 'total', count: {} },
+						{ alias: 'ages', sum: { field: { fieldPath: 'age' } } },
+						{
+							alias: 'avgAge',
+							avg: { field: { fieldPath: 'stats.`avg-age`' } }
+						}
+					]
+				}
+			});
+		});
+
+		test('count, sum and average', async () => {
+			const query = new Query(parent, { from: 'col' });
+
+			fetch.mockResponse(response({ count: { integerValue: '42' } }));
+			expect(await query.count()).toEqual(42);
+
+			fetch.mockResponse(response({ sum: { doubleValue: 1.5 } }));
+			expect(await query.sum('price')).toEqual(1.5);
+
+			fetch.mockResponse(response({ average: { nullValue: null } }));
+			expect(await query.average('price')).toEqual(null);
+		});
+
+		test('Collection group queries', async () => {
+			fetch.mockResponse(response({ count: { integerValue: '7' } }));
+
+			expect(await db.collectionGroup('posts').count()).toEqual(7);
+			expect(body().structuredAggregationQuery.structuredQuery.from).toEqual({
+				collectionId: 'posts',
+				allDescendants: true
+			});
+		});
+
+		test('Sends the transaction', async () => {
+			fetch.mockResponse(response({ count: { integerValue: '0' } }));
+			await new Query(parent, { from: 'col' }).count({ transaction: 'tx' });
+
+			expect(body().transaction).toEqual('tx');
+		});
+
+		test('Invalid aggregations', async () => {
+			const query = new Query(parent, { from: 'col' });
+
+			await expect(query.aggregate({})).rejects.toThrow(
+				'Expected at least one aggregation'
+			);
+			await expect(query.aggregate({ total: 'count' })).rejects.toThrow(
+				'Expected "total" to be an aggregation created with count, sum or average'
+			);
+			expect(() => sum(42)).toThrow('Invalid field path');
+		});
+	});
+
+	describe('stream', () => {
+		const page = ids =>
+			JSON.stringify(
+				ids.map(id => ({
+					document: {
+						name: `projects/projectId/databases/(default)/documents/col/${id}`,
+						fields: { n: { integerValue: id } }
+					}
+				}))
+			);
+
+		const body = i => JSON.parse(fetch.mock.calls[i][1].body).structuredQuery;
+
+		beforeEach(() => fetch.resetMocks());
+
+		test('Fetches the pages after the last document of the previous one', async () => {
+			fetch.mockResponses(page(['1', '2']), page(['3']));
+			const query = new Query(parent, { from: 'col', orderBy: 'n' });
+			const ids = [];
+
+			for await (const doc of query.stream({ pageSize: 2 }))
+				ids.push(doc.__meta__.id);
+
+			expect(ids).toEqual(['1', '2', '3']);
+			expect(fetch.mock.calls.length).toEqual(2);
+			expect(body(0).startAt).toEqual(undefined);
+			expect(body(1).limit).toEqual(2);
+			expect(body(1).startAt).toEqual({
+				values: [
+					{ integerValue: '2' },
+					{
+						referenceValue:
+							'projects/projectId/databases/(default)/documents/col/2'
+					}
+				],
+				before: false
+			});
+			// The query itself isn't changed.
+			expect(query.options.limit).toEqual(undefined);
+		});
+
+		test('Selects the orderBy fields needed by the cursors', async () => {
+			fetch.mockResponses(page(['1', '2']), page(['3']));
+			const query = new Query(parent, {
+				from: 'col',
+				select: ['name'],
+				orderBy: 'n'
+			});
+			const ids = [];
+
+			for await (const doc of query.stream({ pageSize: 2 }))
+				ids.push(doc.__meta__.id);
+
+			expect(ids).toEqual(['1', '2', '3']);
+			expect(body(0).select).toEqual({
+				fields: [{ fieldPath: 'name' }, { fieldPath: 'n' }]
+			});
+			expect(body(1).startAt.values[0]).toEqual({ integerValue: '2' });
+			expect(query.options.select).toEqual(['name']);
+		});
+
+		test('Orders by the fields of inequality filters', async () => {
+			fetch.mockResponses(page(['1', '2']), page(['3']));
+			const query = new Query(parent, { from: 'col', where: ['n', '>', 0] });
+			const ids = [];
+
+			for await (const doc of query.stream({ pageSize: 2 }))
+				ids.push(doc.__meta__.id);
+
+			expect(ids).toEqual(['1', '2', '3']);
+			expect(body(0).orderBy).toEqual([
+				{ field: { fieldPath: 'n' }, direction: 'ASCENDING' }
+			]);
+			expect(body(1).orderBy).toEqual([
+				{ field: { fieldPath: 'n' }, direction: 'ASCENDING' },
+				{ field: { fieldPath: '__name__' }, direction: 'ASCENDING' }
+			]);
+			expect(body(1).startAt.values).toEqual([
+				{ integerValue: '2' },
+				{
+					referenceValue:
+						'projects/projectId/databases/(default)/documents/col/2'
+				}
+			]);
+			expect(query.options.orderBy).toEqual([]);
+		});
+
+		test('Respects the limit and offset of the query', async () => {
+			fetch.mockResponses(page(['1', '2']), page(['3']));
+			const query = new Query(parent, { from: 'col', limit: 3, offset: 5 });
+			const ids = [];
+
+			for await (const doc of query.stream({ pageSize: 2 }))
+				ids.push(doc.__meta__.id);
+
+			expect(ids).toEqual(['1', '2', '3']);
+			expect(fetch.mock.calls.length).toEqual(2);
+			expect(body(0).offset).toEqual(5);
+			expect(body(1).offset).toEqual(undefined);
+			expect(body(1).limit).toEqual(1);
+		});
+
+		test('Stops fetching on break', async () => {
+			fetch.mockResponses(page(['1', '2']), page(['3']));
+			const query = new Query(parent, { from: 'col' });
+
+			for await (const doc of query.stream({ pageSize: 2 })) break;
+
+			expect(fetch.mock.calls.length).toEqual(1);
+		});
+
+		test('Invalid page size', async () => {
+			const query = new Query(parent, { from: 'col' });
+
+			await expect(query.stream({ pageSize: 0 }).next()).rejects.toThrow(
+				'Expected the pageSize to be an integer that is greater than 0'
+			);
+		});
+	});
+
 	describe('run', () => {
 		test('Sends request to the right endpoint', async () => {
 			fetch.resetMocks();
@@ -3,6 +3,8 @@ import { Reference } from '../src/Reference';
 import { List } from '../src/List';
 import { Query } from '../src/Query';
 import { Database } from '../src/Database';
+import { FirestoreError } from '../src/FirestoreError';
+import batchGetResponse from './mockBatchGetResponse.json';
 
 const db = new Database({ projectId: 'projectId' });
 const rawDoc = JSON.stringify({
@@ -183,6 +185,39 @@ describe('list()', () => {
 	});
 });
 
+describe('stream()', () => {
+	const page = (ids, nextPageToken) =>
+		JSON.stringify({
+			documents: ids.map(id => ({
+				name: `projects/projectId/databases/(default)/documents/col/${id}`,
+				fields: {}
+			})),
+			nextPageToken
+		});
+
+	test('Fetches the pages until there are no more', async () => {
+		fetch.mockResponses(page(['1', '2'], 'token'), page(['3']));
+		const ids = [];
+
+		for await (const doc of db.ref('col').stream({ pageSize: 2 }))
+			ids.push(doc.__meta__.id);
+
+		expect(ids).toEqual(['1', '2', '3']);
+		expect(fetch.mock.calls.length).toEqual(2);
+		expect(fetch.mock.calls[1][0]).toEqual(
+			`${db.endpoint}/col?pageSize=2&pageToken=token`
+		);
+	});
+
+	test('Stops fetching on break', async () => {
+		fetch.mockResponses(page(['1', '2'], 'token'), page(['3']));
+
+		for await (const doc of db.ref('col').stream({ pageSize: 2 })) break;
+
+		expect(fetch.mock.calls.length).toEqual(1);
+	});
+});
+
 describe('get()', () => {
 	test('throws when called on a collection', async () => {
 		await expect(new Reference('col', db).get()).rejects.toThrow(
@@ -216,6 +251,193 @@ describe('get()', () => {
 	});
 });
 
+describe('Batched get()', () => {
+	const batchDb = new Database({ projectId: 'projectId', batchReads: true });
+
+	test('Coalesces calls made in the same tick into one batchGet', async () => {
+		fetch.mockResponse(JSON.stringify(batchGetResponse));
+
+		const [one, sameOne] = await Promise.all([
+			batchDb.ref('col/one').get(),
+			batchDb.ref('/col/one').get(),
+			batchDb
+				.ref('col/two')
+				.get()
+				.catch(e => e)
+		]);
+
+		expect(fetch.mock.calls.length).toEqual(1);
+		expect(fetch.mock.calls[0][0]).toEqual(batchDb.endpoint + ':batchGet');
+		expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+			documents: [
+				'projects/projectId/databases/(default)/documents/col/one',
+				'projects/projectId/databases/(default)/documents/col/two'
+			]
+		});
+		expect(one).toBeInstanceOf(Document);
+		expect(one.test).toEqual('one two... one two... working?');
+		expect(sameOne).toBe(one);
+	});
+
+	test('Rejects each caller of a missing document', async () => {
+		fetch.mockResponse(JSON.stringify(batchGetResponse));
+
+		const results = await Promise.all([
+			batchDb.ref('col/one').get(),
+			batchDb
+				.ref('col/two')
+				.get()
+				.catch(e => e),
+			batchDb
+				.ref('col/two')
+				.get()
+				.catch(e => e)
+		]);
+
+		for (const error of results.slice(1)) {
+			expect(error).toBeInstanceOf(FirestoreError);
+			expect(error.code).toEqual('not-found');
+			expect(error.message).toEqual(
+				'Document "projects/projectId/databases/(default)/documents/col/two" not found.'
+			);
+		}
+	});
+
+	test('Rejects all callers when the request fails', async () => {
+		fetch.mockResponse(
+			JSON.stringify({
+				error: { message: 'Denied', status: 'PERMISSION_DENIED' }
+			}),
+			{ status: 403 }
+		);
+
+		const results = await Promise.all([
+			batchDb
+				.ref('col/one')
+				.get()
+				.catch(e => e),
+			batchDb
+				.ref('col/two')
+				.get()
+				.catch(e => e)
+		]);
+
+		expect(results.map(e => e.code)).toEqual([
+			'permission-denied',
+			'permission-denied'
+		]);
+	});
+
+	test('Calls made in different ticks use different requests', async () => {
+		fetch.mockResponse(JSON.stringify(batchGetResponse));
+
+		await batchDb.ref('col/one').get();
+		await batchDb.ref('col/one').get();
+
+		expect(fetch.mock.calls.length).toEqual(2);
+	});
+
+	test("Calls with options aren't batched", async () => {
+		fetch.mockResponse(rawDoc);
+
+		await batchDb.ref('col/doc').get({ mask: ['one'] });
+
+		expect(fetch.mock.calls[0][0]).toEqual(
+			`${batchDb.endpoint}/col/doc?mask.fieldPaths=one`
+		);
+	});
+});
+
+describe('Batched writes', () => {
+	const batchDb = new Database({ projectId: 'projectId', batchWrites: true });
+	const docName = path =>
+		`projects/projectId/databases/(default)/documents/${path}`;
+
+	test('Commits writes made in the same tick together', async () => {
+		fetch.mockResponse('{}');
+
+		const [, , { ref: newRef }] = await Promise.all([
+			batchDb.ref('col/one').set({ one: 1 }),
+			batchDb.ref('col/two').update({ two: 2 }),
+			batchDb.ref('col').add({ three: 3 }),
+			batchDb.ref('col/four').delete()
+		]);
+
+		expect(fetch.mock.calls.length).toEqual(1);
+		expect(fetch.mock.calls[0][0]).toEqual(batchDb.endpoint + ':commit');
+
+		const { writes } = JSON.parse(fetch.mock.calls[0][1].body);
+		expect(writes.length).toEqual(4);
+		expect(writes[0].update.name).toEqual(docName('col/one'));
+		expect(writes[1].update.name).toEqual(docName('col/two'));
+		expect(writes[2].update.name).toEqual(newRef.name);
+		expect(writes[3]).toEqual({ delete: docName('col/four') });
+		expect(newRef).toBeInstanceOf(Reference);
+	});
+
+	test('Rejects all the writes of a failed commit', async () => {
+		fetch.mockResponse(
+			JSON.stringify({
+				error: { message: 'No document to update', status: 'NOT_FOUND' }
+			}),
+			{ status: 404 }
+		);
+
+		const results = await Promise.all([
+			batchDb
+				.ref('col/one')
+				.set({ one: 1 })
+				.catch(e => e),
+			batchDb
+				.ref('col/two')
+				.update({ two: 2 })
+				.catch(e => e)
+		]);
+
+		expect(fetch.mock.calls.length).toEqual(1);
+		expect(results.map(e => e.code)).toEqual(['not-found', 'not-found']);
+	});
+
+	test('Invalid writes only reject their own caller', async () => {
+		fetch.mockResponse('{}');
+
+		const results = await Promise.all([
+			batchDb.ref('col/one').set({ one: 1 }),
+			batchDb
+				.ref('col/two')
+				.set('invalid')
+				.catch(e => e)
+		]);
+
+		expect(results[1].message).toEqual('The data argument is missing');
+		expect(JSON.parse(fetch.mock.calls[0][1].body).writes.length).toEqual(1);
+	});
+
+	test('Commits writes made within the window together', async () => {
+		const windowDb = new Database({ projectId: 'projectId', batchWrites: 20 });
+		fetch.mockResponse('{}');
+
+		const first = windowDb.ref('col/one').set({ one: 1 });
+		await new Promise(resolve => setTimeout(resolve, 5));
+		const second = windowDb.ref('col/two').set({ two: 2 });
+		await Promise.all([first, second]);
+
+		expect(fetch.mock.calls.length).toEqual(1);
+		expect(JSON.parse(fetch.mock.calls[0][1].body).writes.length).toEqual(2);
+	});
+
+	test("Writes with request options aren't batched", async () => {
+		fetch.mockResponse('{}');
+
+		await Promise.all([
+			batchDb.ref('col/one').set({ one: 1 }, { timeout: 1000 }),
+			batchDb.ref('col/two').set({ two: 2 })
+		]);
+
+		expect(fetch.mock.calls.length).toEqual(2);
+	});
+});
+
 describe('add()', () => {
 	test('throws when called on a document', async () => {
 		await expect(new Reference('col/doc', db).add()).rejects.toThrow(
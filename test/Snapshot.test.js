@@ -0,0 +1,156 @@
+import { poll } from '../src/Snapshot';
+import { Database } from '../src/Database';
+import { Document } from '../src/Document';
+
+const db = new Database({ projectId: 'projectId' });
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function rawDoc(id, updateTime = '2020-03-17T09:31:07.559644Z') {
+	return {
+		name: `projects/projectId/databases/(default)/documents/col/${id}`,
+		fields: {},
+		createTime: '2019-10-10T14:00:00.617973Z',
+		updateTime
+	};
+}
+
+const mockDoc = (...args) => new Document(rawDoc(...args), db);
+const ids = docs => docs.map(doc => doc.__meta__.id);
+
+function setVisibility(state) {
+	Object.defineProperty(document, 'visibilityState', {
+		value: state,
+		configurable: true
+	});
+	document.dispatchEvent(new Event('visibilitychange'));
+}
+
+beforeEach(() => {
+	fetch.resetMocks();
+});
+
+describe('poll', () => {
+	test('Throws when the callback is not a function', () => {
+		expect(() => poll(async () => [])).toThrow(
+			'Expected the callback to be a function'
+		);
+	});
+
+	test('Reports the first snapshot and then only the changes', async () => {
+		const results = [
+			[mockDoc('one'), mockDoc('two')],
+			[mockDoc('one'), mockDoc('two')],
+			[mockDoc('one', '2020-03-18T09:31:07.559644Z'), mockDoc('three')]
+		];
+		const load = jest.fn(async () => results.shift() || []);
+		const callback = jest.fn();
+
+		const unsubscribe = poll(load, callback, { interval: 5 });
+		await wait(50);
+		unsubscribe();
+
+		expect(load.mock.calls.length).toBeGreaterThan(3);
+		expect(callback.mock.calls.length).toEqual(3);
+
+		const [first, second, third] = callback.mock.calls.map(call => call[1]);
+		expect(ids(first.added)).toEqual(['one', 'two']);
+		expect(ids(second.added)).toEqual(['three']);
+		expect(ids(second.modified)).toEqual(['one']);
+		expect(ids(second.removed)).toEqual(['two']);
+		expect(ids(third.removed)).toEqual(['one', 'three']);
+		expect(callback.mock.calls[2][0]).toEqual([]);
+	});
+
+	test('Stops polling when unsubscribed', async () => {
+		const load = jest.fn(async () => []);
+
+		const unsubscribe = poll(load, () => {}, { interval: 5 });
+		unsubscribe();
+		await wait(20);
+
+		expect(load.mock.calls.length).toEqual(1);
+	});
+
+	test('Reports errors and keeps polling', async () => {
+		const error = new Error('Failed');
+		const load = jest
+			.fn()
+			.mockRejectedValueOnce(error)
+			.mockResolvedValue([mockDoc('one')]);
+		const onError = jest.fn();
+		const callback = jest.fn();
+
+		const unsubscribe = poll(load, callback, { interval: 5, onError });
+		await wait(20);
+		unsubscribe();
+
+		expect(onError).toHaveBeenCalledWith(error);
+		expect(callback.mock.calls.length).toEqual(1);
+	});
+
+	test("Doesn't log errors without onError", async () => {
+		const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+		const load = jest.fn().mockRejectedValue(new Error('Failed'));
+
+		const unsubscribe = poll(load, () => {}, { interval: 5 });
+		await wait(20);
+		unsubscribe();
+
+		expect(load.mock.calls.length).toBeGreaterThan(1);
+		expect(log).not.toHaveBeenCalled();
+		log.mockRestore();
+	});
+
+	test('Pauses while the page is hidden', async () => {
+		const load = jest.fn(async () => []);
+		const unsubscribe = poll(load, () => {}, { interval: 5 });
+		await wait(0);
+
+		setVisibility('hidden');
+		const calls = load.mock.calls.length;
+		await wait(30);
+		expect(load.mock.calls.length).toEqual(calls);
+
+		setVisibility('visible');
+		expect(load.mock.calls.length).toEqual(calls + 1);
+		unsubscribe();
+	});
+});
+
+describe('onSnapshot', () => {
+	test('Polls a document, and reports it when missing', async () => {
+		fetch
+			.mockResponseOnce(JSON.stringify(rawDoc('one')))
+			.mockResponse(
+				JSON.stringify({ error: { message: 'Missing', status: 'NOT_FOUND' } }),
+				{ status: 404 }
+			);
+		const callback = jest.fn();
+
+		const unsubscribe = db.ref('col/one').onSnapshot(callback, { interval: 5 });
+		await wait(30);
+		unsubscribe();
+
+		expect(fetch.mock.calls[0][0]).toEqual(db.endpoint + '/col/one');
+		expect(callback.mock.calls.length).toEqual(2);
+		expect(ids(callback.mock.calls[0][0])).toEqual(['one']);
+		expect(callback.mock.calls[1][0]).toEqual([]);
+		expect(ids(callback.mock.calls[1][1].removed)).toEqual(['one']);
+	});
+
+	test('Polls a query', async () => {
+		fetch.mockResponse(JSON.stringify([{ document: rawDoc('one') }]));
+		const callback = jest.fn();
+
+		const unsubscribe = db
+			.ref('col')
+			.query()
+			.onSnapshot(callback, { interval: 5 });
+		await wait(30);
+		unsubscribe();
+
+		expect(fetch.mock.calls[0][0]).toEqual(db.ref('').endpoint + ':runQuery');
+		expect(callback.mock.calls.length).toEqual(1);
+		expect(ids(callback.mock.calls[0][1].added)).toEqual(['one']);
+	});
+});
@@ -1,6 +1,7 @@
 import { Transaction } from '../src/Transaction';
 import { Reference } from '../src/Reference';
 import { Database } from '../src/Database';
+import Transform from '../src/Transform';
 import batchGetResponse from './mockBatchGetResponse.json';
 
 const db = new Database({ projectId: 'projectId' });
@@ -63,6 +64,33 @@ describe('Transaction', () => {
 			);
 		});
 
+		test("Doesn't mask the listed fields that are transformed", () => {
+			const tx = new Transaction(db);
+
+			tx.set(
+				'col/doc',
+				{
+					count: new Transform('increment', 1),
+					removed: new Transform('delete'),
+					one: 'one'
+				},
+				{ mergeFields: ['count', 'removed', 'one'] }
+			);
+
+			expect(tx.writes).toEqual([
+				{
+					update: {
+						name: rawDoc.name,
+						fields: { one: { stringValue: 'one' } }
+					},
+					updateMask: { fieldPaths: ['removed', 'one'] },
+					updateTransforms: [
+						{ increment: { integerValue: '1' }, fieldPath: 'count' }
+					]
+				}
+			]);
+		});
+
 		test('Uses preconditions', () => {
 			const tx = new Transaction(db);
 			tx.preconditions[rawDoc.name] = { updateTime: 'test' };
@@ -88,6 +116,96 @@ describe('Transaction', () => {
 		});
 	});
 
+	describe('Set with merge', () => {
+		test('Merges the fields of the data', () => {
+			const tx = new Transaction(db);
+
+			tx.set(
+				'col/doc',
+				{
+					one: 'one',
+					map: { 'a.b': 1 },
+					removed: new Transform('delete'),
+					count: new Transform('increment', 1)
+				},
+				{ merge: true }
+			);
+
+			expect(tx.writes).toEqual([
+				{
+					update: {
+						name: rawDoc.name,
+						fields: {
+							one: { stringValue: 'one' },
+							map: { mapValue: { fields: { 'a.b': { integerValue: '1' } } } }
+						}
+					},
+					updateMask: { fieldPaths: ['one', 'map.`a.b`', 'removed'] },
+					updateTransforms: [
+						{ increment: { integerValue: '1' }, fieldPath: 'count' }
+					]
+				}
+			]);
+		});
+
+		test('Merges only the listed fields', () => {
+			const tx = new Transaction(db);
+
+			tx.set(
+				'col/doc',
+				{
+					one: 'one',
+					two: 2,
+					map: { a: 1, b: 2 },
+					count: new Transform('increment', 1),
+					date: new Transform('serverTimestamp'),
+					nested: { count: new Transform('increment', 2) }
+				},
+				{ mergeFields: ['one', 'map.a', 'count', 'nested'] }
+			);
+
+			expect(tx.writes[0].update.fields).toEqual({
+				one: { stringValue: 'one' },
+				map: { mapValue: { fields: { a: { integerValue: '1' } } } },
+				nested: { mapValue: { fields: {} } }
+			});
+			// The transformed count isn't masked, so it isn't cleared.
+			expect(tx.writes[0].updateMask).toEqual({
+				fieldPaths: ['one', 'map.a', 'nested']
+			});
+			expect(tx.writes[0].updateTransforms).toEqual([
+				{ increment: { integerValue: '1' }, fieldPath: 'count' },
+				{ increment: { integerValue: '2' }, fieldPath: 'nested.count' }
+			]);
+			expect(tx.writes[0].currentDocument).toEqual(undefined);
+		});
+
+		test('Uses preconditions', () => {
+			const tx = new Transaction(db);
+			tx.preconditions[rawDoc.name] = { updateTime: 'test' };
+			tx.set('col/doc', doc, { merge: true });
+
+			expect(tx.writes[0].currentDocument).toEqual({ updateTime: 'test' });
+		});
+
+		test('Throws on invalid options', () => {
+			const tx = new Transaction(db);
+
+			expect(() =>
+				tx.set('col/doc', doc, { merge: true, mergeFields: ['one'] })
+			).toThrow('The merge and mergeFields options are mutually exclusive');
+			expect(() => tx.set('col/doc', doc, { mergeFields: 'one' })).toThrow(
+				'The mergeFields option must be an array of field paths'
+			);
+			expect(() =>
+				tx.set('col/doc', { one: 1, map: { a: 1 } }, { mergeFields: ['map.b'] })
+			).toThrow('Input data is missing for field "map.b"');
+			expect(() =>
+				tx.set('col/doc', { one: 1 }, { mergeFields: ['one.a'] })
+			).toThrow('Input data is missing for field "one.a"');
+		});
+	});
+
 	describe('Update', () => {
 		test('Passing a Reference instance', () => {
 			const ref = new Reference('col/doc', db);
@@ -127,6 +245,132 @@ describe('Transaction', () => {
 			);
 		});
 
+		test('Deletes fields', () => {
+			const tx = new Transaction(db);
+
+			tx.update('col/doc', {
+				one: 'one',
+				two: new Transform('delete'),
+				map: {
+					nested: new Transform('delete'),
+					count: new Transform('increment', 1)
+				}
+			});
+
+			expect(tx.writes).toEqual([
+				{
+					update: {
+						name: rawDoc.name,
+						fields: {
+							one: { stringValue: 'one' },
+							map: { mapValue: { fields: {} } }
+						}
+					},
+					updateMask: { fieldPaths: ['one', 'two', 'map.nested'] },
+					currentDocument: { exists: true },
+					updateTransforms: [
+						{ increment: { integerValue: '1' }, fieldPath: 'map.count' }
+					]
+				}
+			]);
+		});
+
+		test('Keys are field paths', () => {
+			const tx = new Transaction(db);
+
+			tx.update('col/doc', {
+				'a.b.c': 1,
+				'a.`b.d`': 2,
+				'my field': new Transform('increment', 1)
+			});
+
+			expect(tx.writes).toEqual([
+				{
+					update: {
+						name: rawDoc.name,
+						fields: {
+							a: {
+								mapValue: {
+									fields: {
+										b: { mapValue: { fields: { c: { integerValue: '1' } } } },
+										'b.d': { integerValue: '2' }
+									}
+								}
+							}
+						}
+					},
+					updateMask: { fieldPaths: ['a.b.c', 'a.`b.d`'] },
+					currentDocument: { exists: true },
+					updateTransforms: [
+						{ increment: { integerValue: '1' }, fieldPath: '`my field`' }
+					]
+				}
+			]);
+			expect(() => tx.update('col/doc', { a: { b: 1 }, 'a.c': 2 })).toThrow(
+				'The field path "a.c" conflicts with another field'
+			);
+			expect(() => tx.update('col/doc', { 'a.b': 1, a: 2 })).toThrow(
+				'The field path "a" conflicts with another field'
+			);
+		});
+
+		test('Keys are literal names when setting documents', () => {
+			const tx = new Transaction(db);
+
+			tx.set('col/doc', { 'a.b': 1, nested: { 'my-field': 2 } });
+
+			expect(tx.writes[0].update.fields).toEqual({
+				'a.b': { integerValue: '1' },
+				nested: { mapValue: { fields: { 'my-field': { integerValue: '2' } } } }
+			});
+		});
+
+		test('Sends the transforms with the update', () => {
+			const tx = new Transaction(db);
+
+			tx.update('col/doc', { count: new Transform('increment', 1) });
+			tx.update(
+				'col/doc',
+				{ one: 'one', date: new Transform('serverTimestamp') },
+				{ exists: false }
+			);
+
+			expect(tx.writes).toEqual([
+				{
+					update: { name: rawDoc.name, fields: {} },
+					updateMask: { fieldPaths: [] },
+					currentDocument: { exists: true },
+					updateTransforms: [
+						{ increment: { integerValue: '1' }, fieldPath: 'count' }
+					]
+				},
+				{
+					update: {
+						name: rawDoc.name,
+						fields: { one: { stringValue: 'one' } }
+					},
+					updateMask: { fieldPaths: ['one'] },
+					currentDocument: { exists: false },
+					updateTransforms: [
+						{ setToServerValue: 'REQUEST_TIME', fieldPath: 'date' }
+					]
+				}
+			]);
+		});
+
+		test("Can't delete fields when setting or adding documents", () => {
+			const tx = new Transaction(db);
+			const data = { one: new Transform('delete') };
+
+			expect(() => tx.set('col/doc', data)).toThrow(
+				'Fields can only be deleted when updating or merging a document'
+			);
+			expect(() => tx.add('col', data)).toThrow(
+				'Fields can only be deleted when updating or merging a document'
+			);
+			expect(tx.writes).toEqual([]);
+		});
+
 		test('Uses preconditions', () => {
 			const tx = new Transaction(db);
 			tx.preconditions[rawDoc.name] = { updateTime: 'test' };
@@ -233,3 +477,220 @@ describe('Commit', () => {
 		});
 	});
 });
+
+describe('Server transactions', () => {
+	const begin = JSON.stringify({ transaction: 'tx-id' });
+
+	beforeEach(() => fetch.resetMocks());
+	afterAll(() => fetch.resetMocks());
+
+	test('Begins a read-write transaction on the first read', async () => {
+		fetch.mockResponses(begin, JSON.stringify(batchGetResponse));
+
+		const tx = new Transaction(db);
+		await tx.get(['col/one', 'col/two']);
+
+		expect(tx.id).toEqual('tx-id');
+		expect(fetch.mock.calls[0][0]).toEqual(db.endpoint + ':beginTransaction');
+		expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+			options: { readWrite: {} }
+		});
+		expect(fetch.mock.calls[1][0]).toEqual(db.endpoint + ':batchGet');
+		expect(JSON.parse(fetch.mock.calls[1][1].body).transaction).toEqual(
+			'tx-id'
+		);
+	});
+
+	test('Begins the transaction only once', async () => {
+		fetch.mockResponses(begin, '[]', '[]');
+
+		const tx = new Transaction(db);
+		await Promise.all([tx.get([]), tx.get([])]);
+
+		const endpoints = fetch.mock.calls.map(call => call[0]);
+		expect(endpoints).toEqual([
+			db.endpoint + ':beginTransaction',
+			db.endpoint + ':batchGet',
+			db.endpoint + ':batchGet'
+		]);
+	});
+
+	test('Supports read only and retried transactions', async () => {
+		fetch.mockResponse(begin);
+
+		await new Transaction(db, {
+			readOnly: true,
+			readTime: '2020-03-17T09:31:07.559644Z'
+		}).begin();
+		await new Transaction(db, { retryTransaction: 'old-id' }).begin();
+
+		expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+			options: { readOnly: { readTime: '2020-03-17T09:31:07.559644Z' } }
+		});
+		expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({
+			options: { readWrite: { retryTransaction: 'old-id' } }
+		});
+		expect(() => new Transaction(db, { readTime: 'time' })).toThrow(
+			'A readTime can only be used in read only transactions'
+		);
+	});
+
+	test("Read only transactions can't write", () => {
+		const tx = new Transaction(db, { readOnly: true });
+
+		expect(() => tx.set('col/doc', doc)).toThrow(
+			"Read only transactions can't write"
+		);
+		expect(() => tx.delete('col/doc')).toThrow(
+			"Read only transactions can't write"
+		);
+	});
+
+	test('Runs queries within the transaction', async () => {
+		fetch.mockResponses(begin, '[{}]');
+
+		const query = db.ref('col').query({ where: [['one', '==', 'one']] });
+		await new Transaction(db).run(query);
+
+		const body = JSON.parse(fetch.mock.calls[1][1].body);
+		expect(body.transaction).toEqual('tx-id');
+		expect(body.structuredQuery).toEqual(query.toJSON().structuredQuery);
+	});
+
+	test('Commits with the transaction ID', async () => {
+		fetch.mockResponses(begin, '[]', '{}');
+
+		const tx = new Transaction(db);
+		await tx.get([]);
+		tx.set('col/doc', doc);
+		await tx.commit();
+
+		expect(JSON.parse(fetch.mock.calls[2][1].body)).toEqual({
+			writes: [{ update: rawDoc }],
+			transaction: 'tx-id'
+		});
+	});
+
+	test('Rolls back only transactions that began', async () => {
+		fetch.mockResponses(begin, '[]', '{}');
+
+		await new Transaction(db).rollback();
+		expect(fetch.mock.calls.length).toEqual(0);
+
+		const tx = new Transaction(db);
+		await tx.get([]);
+		await tx.rollback();
+
+		expect(fetch.mock.calls[2][0]).toEqual(db.endpoint + ':rollback');
+		expect(JSON.parse(fetch.mock.calls[2][1].body)).toEqual({
+			transaction: 'tx-id'
+		});
+	});
+});
+
+describe('Commit results', () => {
+	const commitTime = '2020-03-17T09:31:07.559644Z';
+
+	beforeEach(() => fetch.resetMocks());
+	afterAll(() => fetch.resetMocks());
+
+	test('Maps the write results to the documents', async () => {
+		fetch.mockResponse(
+			JSON.stringify({
+				commitTime,
+				writeResults: [
+					{ updateTime: '2020-03-17T09:31:07.000001Z' },
+					{
+						updateTime: '2020-03-17T09:31:07.000002Z',
+						transformResults: [
+							{ integerValue: '3' },
+							{ timestampValue: commitTime }
+						]
+					},
+					{}
+				]
+			})
+		);
+
+		const tx = new Transaction(db);
+		tx.set('col/one', doc);
+		tx.update('col/two', {
+			count: new Transform('increment', 1),
+			date: new Transform('serverTimestamp')
+		});
+		tx.delete('col/three');
+		const result = await tx.commit();
+
+		expect(result.commitTime).toEqual(commitTime);
+		expect(result.writeResults.length).toEqual(3);
+		expect(result.writeResults.map(({ ref }) => ref.path)).toEqual([
+			'col/one',
+			'col/two',
+			'col/three'
+		]);
+		expect(result.writeResults[0]).toMatchObject({
+			commitTime,
+			updateTime: '2020-03-17T09:31:07.000001Z',
+			transformResults: {}
+		});
+		expect(result.writeResults[1]).toMatchObject({
+			updateTime: '2020-03-17T09:31:07.000002Z',
+			transformResults: { count: 3, date: new Date(commitTime) }
+		});
+		expect(result.writeResults[2].updateTime).toEqual(undefined);
+	});
+
+	test('References resolve with the result of their write', async () => {
+		fetch.mockResponse(
+			JSON.stringify({
+				commitTime,
+				writeResults: [
+					{ updateTime: commitTime, transformResults: [{ integerValue: '3' }] }
+				]
+			})
+		);
+
+		const result = await db
+			.ref('col/doc')
+			.update({ count: new Transform('increment', 1) });
+
+		expect(result.ref).toBeInstanceOf(Reference);
+		expect(result.ref.path).toEqual('col/doc');
+		expect(result.commitTime).toEqual(commitTime);
+		expect(result.transformResults).toEqual({ count: 3 });
+
+		const added = await db.ref('col').add({ one: 'one' });
+		expect(added.ref.parent.path).toEqual('col');
+	});
+
+	test('Writes that share a commit resolve with their own result', async () => {
+		const batchDb = new Database({ projectId: 'projectId', batchWrites: true });
+		fetch.mockResponse(
+			JSON.stringify({
+				commitTime,
+				writeResults: [
+					{ updateTime: '2020-03-17T09:31:07.000001Z' },
+					{
+						updateTime: '2020-03-17T09:31:07.000002Z',
+						transformResults: [{ integerValue: '1' }]
+					},
+					{ updateTime: '2020-03-17T09:31:07.000003Z' }
+				]
+			})
+		);
+
+		const results = await Promise.all([
+			batchDb.ref('col/one').set({ one: 1 }),
+			batchDb.ref('col/two').set({ count: new Transform('increment', 1) }),
+			batchDb.ref('col/three').set({ three: 3 })
+		]);
+
+		expect(results.map(result => result.ref.path)).toEqual([
+			'col/one',
+			'col/two',
+			'col/three'
+		]);
+		expect(results[1].transformResults).toEqual({ count: 1 });
+		expect(results[2].updateTime).toEqual('2020-03-17T09:31:07.000003Z');
+	});
+});
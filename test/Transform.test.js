@@ -18,6 +18,13 @@ describe('Transform', () => {
 		expect(given).toEqual(expected);
 	});
 
+	test('delete', () => {
+		const transform = new Transform('delete');
+
+		expect(transform.name).toEqual('delete');
+		expect(JSON.stringify(transform)).toEqual('{}');
+	});
+
 	describe('increment', () => {
 		test('Valid arguments', () => {
 			const given = JSON.stringify(new Transform('increment', 1));
@@ -0,0 +1,103 @@
+import { Database } from '../src/Database';
+import { WriteBatch, WriteBatchError } from '../src/WriteBatch';
+import { Reference } from '../src/Reference';
+import Transform from '../src/Transform';
+
+const db = new Database({ projectId: 'projectId' });
+
+describe('WriteBatch', () => {
+	beforeEach(() => fetch.resetMocks());
+	afterAll(() => fetch.resetMocks());
+
+	test('Database returns a new write batch', () => {
+		expect(db.batch()).toBeInstanceOf(WriteBatch);
+	});
+
+	test('Has the same write methods as transactions, without preconditions', () => {
+		const batch = db.batch();
+
+		const ref = batch.add('col', { one: 1 });
+		batch.set('col/doc', { one: 1 });
+		batch.update('col/doc', { one: 1 });
+		batch.delete('col/doc');
+
+		expect(ref).toBeInstanceOf(Reference);
+		expect(batch.chunks.length).toEqual(1);
+		expect(batch.writes.map(write => write.currentDocument)).toEqual([
+			{ exists: false },
+			undefined,
+			{ exists: true },
+			undefined
+		]);
+	});
+
+	test('Splits the writes into chunks of 500', () => {
+		const batch = db.batch();
+
+		for (let i = 0; i < 1001; i++) batch.set(`col/doc${i}`, { i });
+
+		expect(batch.chunks.map(tx => tx.writes.length)).toEqual([500, 500, 1]);
+		expect(batch.chunks[1].writes[0].update.name).toEqual(
+			`${db.rootPath}/col/doc500`
+		);
+	});
+
+	test("Transforms don't count as separate writes", () => {
+		const batch = db.batch();
+
+		for (let i = 0; i < 500; i++)
+			batch.set(`col/doc${i}`, { count: new Transform('increment', 1) });
+
+		expect(batch.chunks.map(tx => tx.writes.length)).toEqual([500]);
+		expect(batch.chunks[0].writes[499].updateTransforms).toEqual([
+			{ increment: { integerValue: '1' }, fieldPath: 'count' }
+		]);
+	});
+
+	test('Splits the writes when the payload is too large', () => {
+		const batch = db.batch();
+		const text = 'a'.repeat(4 * 1024 * 1024);
+
+		batch.set('col/one', { text });
+		batch.set('col/two', { text });
+		batch.set('col/three', { text });
+
+		expect(batch.chunks.map(tx => tx.writes.length)).toEqual([2, 1]);
+	});
+
+	test('Commits the chunks in order', async () => {
+		fetch.mockResponse('{}');
+		const batch = db.batch();
+
+		for (let i = 0; i < 501; i++) batch.set(`col/doc${i}`, { i });
+		const results = await batch.commit();
+
+		expect(results.length).toEqual(501);
+		expect(results[500].ref.path).toEqual('col/doc500');
+		expect(fetch.mock.calls.length).toEqual(2);
+		expect(fetch.mock.calls[0][0]).toEqual(db.endpoint + ':commit');
+		expect(JSON.parse(fetch.mock.calls[0][1].body).writes.length).toEqual(500);
+		expect(JSON.parse(fetch.mock.calls[1][1].body).writes.length).toEqual(1);
+	});
+
+	test('Reports which chunk failed, and stops', async () => {
+		fetch.mockResponses('{}', [
+			JSON.stringify({
+				error: { code: 403, message: 'Denied', status: 'PERMISSION_DENIED' }
+			}),
+			{ status: 403 }
+		]);
+		const batch = db.batch();
+
+		for (let i = 0; i < 1001; i++) batch.set(`col/doc${i}`, { i });
+		const error = await batch.commit().catch(error => error);
+
+		expect(error).toBeInstanceOf(WriteBatchError);
+		expect(error.message).toEqual('Chunk 2 of 3 failed: Denied');
+		expect(error.chunk).toEqual(1);
+		expect(error.chunks).toEqual(3);
+		expect(error.code).toEqual('permission-denied');
+		expect(error.error.status).toEqual(403);
+		expect(fetch.mock.calls.length).toEqual(2);
+	});
+});
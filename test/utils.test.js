@@ -410,4 +410,16 @@ describe('compileOptions()', () => {
 		expect(withUpdateMask).toEqual(expectedWithUpdateMask);
 		expect(withoutPreconditions).toEqual(expectedWithoutPreconditions);
 	});
+
+	test('Quotes the field paths of masks', () => {
+		expect(
+			compileOptions(
+				{ updateMask: true, mask: ['my-field', 'a.b'] },
+				{ 'my-field': 1, a: { 'b.c': 2 } }
+			)
+		).toEqual({
+			updateMask: { fieldPaths: ['`my-field`', 'a.`b.c`'] },
+			mask: { fieldPaths: ['`my-field`', 'a.b'] }
+		});
+	});
 });